@@ -7,6 +7,10 @@
 export default class GameState {
   constructor() {
     this.state = null;
+    // Events received so far, keyed by id.  The server only sends the
+    // most recent page of events with each state update, so the log is
+    // accumulated here.
+    this.eventsById = new Map();
   }
 
   /**
@@ -25,6 +29,28 @@ export default class GameState {
    */
   update(state) {
     this.state = state;
+    if (state && Array.isArray(state.events)) {
+      this.addEvents(state.events);
+    }
+  }
+
+  /**
+   * Merge a page of events (from a state update or a `getEvents`
+   * request) into the local log.
+   * @param {Array<object>} events
+   */
+  addEvents(events) {
+    for (const event of events) {
+      this.eventsById.set(event.id, event);
+    }
+  }
+
+  /**
+   * Get all known events in order.  Each event has a `type`, an `id`
+   * and the rendered `text`.
+   */
+  get events() {
+    return Array.from(this.eventsById.values()).sort((a, b) => a.id - b.id);
   }
 
   /**
@@ -41,10 +67,11 @@ export default class GameState {
   }
 
   /**
-   * Get the game log.  Returns an empty array if no state.
+   * Get the game log as lines of text.  Returns an empty array if no
+   * events have been received.
    */
   get log() {
-    return (this.state && this.state.log) || [];
+    return this.events.map((e) => e.text);
   }
 
   /**
@@ -54,4 +81,12 @@ export default class GameState {
   get monsters() {
     return (this.state && this.state.monsters) || [];
   }
+
+  /**
+   * Get the active encounter (initiative order, round and turn index).
+   * Returns null when no encounter is running.
+   */
+  get encounter() {
+    return (this.state && this.state.encounter) || null;
+  }
 }
\ No newline at end of file
@@ -46,15 +46,25 @@ const logTextArea = document.getElementById('log');
 const renderCanvas = document.getElementById('renderCanvas');
 const sheetSection = document.getElementById('sheet-section');
 const characterSheetDiv = document.getElementById('characterSheet');
+const levelUpSummaryDiv = document.getElementById('levelUpSummary');
 const controlsSection = document.getElementById('controls-section');
 const spawnOrcBtn = document.getElementById('spawnOrcBtn');
 const attackMonsterBtn = document.getElementById('attackMonsterBtn');
+const startEncounterBtn = document.getElementById('startEncounterBtn');
+const endTurnBtn = document.getElementById('endTurnBtn');
 const givePotionBtn = document.getElementById('givePotionBtn');
 const usePotionBtn = document.getElementById('usePotionBtn');
+const giveGearBtn = document.getElementById('giveGearBtn');
 const magicMissileBtn = document.getElementById('magicMissileBtn');
 const cureWoundsBtn = document.getElementById('cureWoundsBtn');
+const restBtn = document.getElementById('restBtn');
 const startDialogueBtn = document.getElementById('startDialogueBtn');
 const exportCharBtn = document.getElementById('exportCharBtn');
+const locationSection = document.getElementById('location-section');
+const locationInfoDiv = document.getElementById('locationInfo');
+const travelOptionsDiv = document.getElementById('travelOptions');
+const questSection = document.getElementById('quest-section');
+const questLogDiv = document.getElementById('questLog');
 const dialogueSection = document.getElementById('dialogue-section');
 const dialogueTextDiv = document.getElementById('dialogueText');
 const dialogueOptionsDiv = document.getElementById('dialogueOptions');
@@ -168,6 +178,70 @@ socket.on('gameState', (state) => {
   engine.update(state);
   renderLog();
   updateCharacterSheet(state);
+  updateLocation(state);
+  updateQuests(state);
+  showLevelUps();
+  requestEarlierEvents(state);
+  syncMap(state);
+});
+
+// Show a summary when this player's character gains a level.  Level
+// ups already in the log when the player joins are not announced.
+const seenLevelUps = new Set();
+let levelUpsPrimed = false;
+function showLevelUps() {
+  const levelUps = gameState.events.filter((e) => e.type === 'levelUp');
+  const fresh = levelUps.filter((e) => !seenLevelUps.has(e.id));
+  fresh.forEach((e) => seenLevelUps.add(e.id));
+  const mine = fresh.filter((e) => e.actor && e.actor.id === socket.id);
+  if (!levelUpsPrimed) {
+    levelUpsPrimed = true;
+    return;
+  }
+  if (mine.length === 0) return;
+  let html = '';
+  for (const e of mine) {
+    html += `<p><strong>Level ${e.level}!</strong> +${e.hpGained} HP (rolled ${e.hpRoll ? e.hpRoll.total : '?'}, CON ${e.conModifier >= 0 ? '+' : ''}${e.conModifier || 0})</p>`;
+    const changes = [];
+    if (e.spellSlots) {
+      changes.push(`spell slots ${Object.entries(e.spellSlots).map(([lvl, s]) => `L${lvl}: ${s.total}`).join(', ')}`);
+    }
+    if (e.thiefSkills) {
+      changes.push(`thief skills ${Object.entries(e.thiefSkills).map(([k, v]) => `${k} ${v}%`).join(', ')}`);
+    }
+    if (e.savingThrows) {
+      changes.push('saving throws improved');
+    }
+    if (changes.length > 0) {
+      html += `<p>${changes.join('; ')}</p>`;
+    }
+  }
+  levelUpSummaryDiv.innerHTML = html;
+  levelUpSummaryDiv.classList.remove('hidden');
+}
+
+// The server sends only the latest page of events with each state.
+// When joining a game that already has a longer history, fetch the
+// earlier pages once so the log is complete.
+let historyRequested = false;
+function requestEarlierEvents(state) {
+  if (historyRequested || !state || !state.hasMoreEvents) return;
+  const events = gameState.events;
+  if (events.length === 0) return;
+  historyRequested = true;
+  socket.emit('getEvents', { gameId: state.id, before: events[0].id, limit: 500 });
+}
+
+// Receive a page of events requested with `getEvents`
+socket.on('events', (page) => {
+  if (!page || !Array.isArray(page.events)) return;
+  // Earlier history is never announced as a new level up
+  page.events.filter((e) => e.type === 'levelUp').forEach((e) => seenLevelUps.add(e.id));
+  gameState.addEvents(page.events);
+  renderLog();
+  if (page.hasMore && page.events.length > 0) {
+    socket.emit('getEvents', { gameId: gameIdInput.value.trim(), before: page.events[0].id, limit: 500 });
+  }
 });
 
 // Listen for individual action results (sent only to this player)
@@ -196,6 +270,38 @@ socket.on('monsterSpawned', (data) => {
   }
 });
 
+// Encounter events: initiative order, turn changes and the end of combat
+socket.on('encounterStarted', (data) => {
+  if (data && Array.isArray(data.order)) {
+    const order = data.order.map((e) => `${e.name} (${e.initiative})`).join(', ');
+    appendLog(`Encounter started. Initiative: ${order}`);
+  }
+});
+
+socket.on('turnChanged', (turn) => {
+  if (!turn) return;
+  const whose = turn.combatantId === socket.id ? 'your' : `${turn.name}'s`;
+  appendLog(`Round ${turn.round}: it is ${whose} turn.`);
+});
+
+socket.on('encounterEnded', (summary) => {
+  if (summary) {
+    appendLog(`Encounter ended (${summary.reason}) after ${summary.rounds} round(s).`);
+  }
+});
+
+// The DM reshaped the map; the new tiles arrive with the game state
+socket.on('mapUpdated', () => {
+  appendLog('The map has changed.');
+});
+
+// Players went through an exit; whoever travelled gets the new map
+// with their next game state.  The player who moved already has the
+// message from their action result.
+socket.on('mapTransition', (transition) => {
+  if (transition.by !== socket.id) appendLog(transition.message);
+});
+
 /**
  * Initialise a Babylon.js scene with a rotating box.  This function is
  * invoked once after the player creates a character.  Extend this
@@ -283,29 +389,63 @@ async function loadMaps() {
   }
 }
 
+// Tile types from the server's registry (rules/tiles.json), keyed by
+// the names used in map tiles
+let tileTypes = {};
+fetch('/api/tiles')
+  .then((res) => res.json())
+  .then((types) => {
+    tileTypes = types;
+    renderMap();
+  })
+  .catch((err) => console.error('Failed to load tile types:', err));
+
+// Colour of a tile type; unknown types are grey
+function tileColour(tile) {
+  return (tileTypes[tile] && tileTypes[tile].colour) || '#CCCCCC';
+}
+
 // Currently selected map data
 let currentMap = null;
 
 // Select a map by id: fetch details, hide map selection and show map and character creation
+// The map itself arrives with the next game state, covered by the fog
+// of war
 async function selectMap(mapId) {
-  try {
-    const res = await fetch(`/api/maps/${mapId}`);
-    if (!res.ok) {
-      throw new Error('Failed to fetch map');
-    }
-    currentMap = await res.json();
-    // Hide map selection panel
-    mapSection.classList.add('hidden');
-    // Show character creation
-    characterSection.classList.remove('hidden');
-    // Render the map in the chosen mode
-    renderMap();
-  } catch (err) {
-    console.error('Error selecting map:', err);
-    alert('Failed to load map');
+  // Make it the game's map so tokens are placed on it
+  socket.emit('selectMap', { gameId: gameIdInput.value.trim(), mapId });
+  // Hide map selection panel
+  mapSection.classList.add('hidden');
+  // Show character creation
+  characterSection.classList.remove('hidden');
+}
+
+// Follow the game's active map.  Each state carries the part of the map
+// this player has explored (`state.map`, with a `fog` grid); the 2D map
+// is redrawn on every update and the 3D scene when the fog changes.
+let currentFog = null;
+function syncMap(state) {
+  if (!state || !state.map) return;
+  const fog = JSON.stringify(state.map.fog);
+  const changed = !currentMap || currentMap.id !== state.map.id || fog !== currentFog;
+  currentMap = state.map;
+  currentFog = fog;
+  if (getSelectedRenderMode() === '2d') {
+    renderMap2D(currentMap);
+  } else if (changed) {
+    renderMap3D(currentMap);
   }
 }
 
+// Fog grid values sent by the server
+const FOG_UNEXPLORED = 0;
+const FOG_REMEMBERED = 1;
+
+// Fog level of a square; maps without fog are fully visible
+function fogAt(map, x, y) {
+  return map.fog ? map.fog[y][x] : 2;
+}
+
 // Determine selected render mode ('2d' or '3d')
 function getSelectedRenderMode() {
   for (const input of mapModeInputs) {
@@ -325,7 +465,7 @@ function renderMap() {
   }
 }
 
-// Draw a 2D map on the mapCanvas using colours for each tile type
+// Draw a 2D map on the mapCanvas using the colour of each tile type
 function renderMap2D(map) {
   // Hide 3D canvas and show 2D canvas
   renderCanvas.classList.add('hidden');
@@ -334,40 +474,124 @@ function renderMap2D(map) {
   const width = map.dimensions.width;
   const height = map.dimensions.height;
   const tileSize = Math.min(mapCanvas.width / width, mapCanvas.height / height);
-  // Colour mapping for tile types
-  const colours = {
-    grass: '#7CFC00',
-    road: '#DEB887',
-    house: '#8B4513',
-    forest: '#228B22',
-    water: '#1E90FF',
-    rock: '#808080',
-    floor: '#A9A9A9',
-    // new biomes/tiles
-    void: '#000000',
-    asteroid: '#505050',
-    station: '#A0A0A0',
-    sky: '#87CEEB',
-    cloud: '#F0F8FF',
-    island: '#D2B48C',
-    coral: '#FF7F50',
-    sand: '#C2B280',
-    portal: '#800080',
-  };
   ctx.clearRect(0, 0, mapCanvas.width, mapCanvas.height);
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const tile = map.tiles[y][x];
-      const colour = colours[tile] || '#CCCCCC';
-      ctx.fillStyle = colour;
+      const fog = fogAt(map, x, y);
+      // Unexplored squares are black; remembered ones are dimmed
+      if (fog === FOG_UNEXPLORED) {
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+        continue;
+      }
+      ctx.fillStyle = tileColour(tile);
       ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+      if (fog === FOG_REMEMBERED) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+      }
       // Optional grid lines
       ctx.strokeStyle = '#f0f0f0';
       ctx.strokeRect(x * tileSize, y * tileSize, tileSize, tileSize);
     }
   }
+  drawExits(ctx, tileSize);
+  drawRoute(ctx, tileSize);
+  drawTokens(ctx, tileSize);
+}
+
+// Outline the exits to other maps the player has found
+function drawExits(ctx, tileSize) {
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = '#9400D3';
+  for (const exit of currentMap.exits || []) {
+    ctx.strokeRect(exit.x * tileSize + 2, exit.y * tileSize + 2, tileSize - 4, tileSize - 4);
+  }
+  ctx.lineWidth = 1;
 }
 
+// Route preview from this player's token to the square under the mouse
+let routePreview = null;
+
+// Shade the squares of the previewed route and label its cost
+function drawRoute(ctx, tileSize) {
+  if (!routePreview || routePreview.mapId !== currentMap.id) return;
+  ctx.fillStyle = 'rgba(255, 215, 0, 0.45)';
+  for (const square of routePreview.path.slice(1)) {
+    ctx.fillRect(square.x * tileSize, square.y * tileSize, tileSize, tileSize);
+  }
+  const end = routePreview.path[routePreview.path.length - 1];
+  ctx.fillStyle = '#000000';
+  ctx.font = `${Math.max(10, Math.floor(tileSize / 3))}px sans-serif`;
+  ctx.fillText(`${routePreview.feet}'`, end.x * tileSize + 2, (end.y + 1) * tileSize - 3);
+}
+
+// Draw players (blue, this player outlined) and monsters (red, corpses
+// grey) on their squares of the map shown
+function drawTokens(ctx, tileSize) {
+  const state = gameState.state;
+  if (!state) return;
+  const tokens = [];
+  for (const p of state.players || []) {
+    if (p.position && p.mapId === currentMap.id) tokens.push({ position: p.position, colour: '#1E3A8A', mine: p.id === socket.id });
+  }
+  for (const m of state.monsters || []) {
+    if (m.position) tokens.push({ position: m.position, colour: m.status === 'dead' ? '#696969' : '#B22222' });
+  }
+  for (const t of tokens) {
+    ctx.beginPath();
+    ctx.arc((t.position.x + 0.5) * tileSize, (t.position.y + 0.5) * tileSize, tileSize * 0.4, 0, Math.PI * 2);
+    ctx.fillStyle = t.colour;
+    ctx.fill();
+    if (t.mine) {
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#FFD700';
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+  }
+}
+
+// The map square under the mouse, or null when off the map
+function squareAt(event) {
+  const { width, height } = currentMap.dimensions;
+  const tileSize = Math.min(mapCanvas.width / width, mapCanvas.height / height);
+  const rect = mapCanvas.getBoundingClientRect();
+  const x = Math.floor(((event.clientX - rect.left) * (mapCanvas.width / rect.width)) / tileSize);
+  const y = Math.floor(((event.clientY - rect.top) * (mapCanvas.height / rect.height)) / tileSize);
+  if (x < 0 || y < 0 || x >= width || y >= height) return null;
+  return { x, y };
+}
+
+// Click a square on the 2D map to move your character there
+mapCanvas.addEventListener('click', (event) => {
+  if (!currentMap) return;
+  const square = squareAt(event);
+  if (!square) return;
+  const gameId = gameIdInput.value.trim();
+  routePreview = null;
+  socket.emit('action', { gameId, action: { type: 'move', x: square.x, y: square.y } });
+});
+
+// Preview the route to the square under the mouse
+let previewSquare = null;
+mapCanvas.addEventListener('mousemove', async (event) => {
+  if (!currentMap || !gameState.state) return;
+  const square = squareAt(event);
+  const me = (gameState.state.players || []).find((p) => p.id === socket.id);
+  if (!square || !me || !me.position) return;
+  if (previewSquare && previewSquare.x === square.x && previewSquare.y === square.y) return;
+  previewSquare = square;
+  const gameId = encodeURIComponent(gameIdInput.value.trim());
+  const query = `from=${me.position.x},${me.position.y}&to=${square.x},${square.y}&gameId=${gameId}`;
+  const res = await fetch(`/api/maps/${currentMap.id}/path?${query}`);
+  // Ignore answers for squares the mouse has already left
+  if (previewSquare !== square) return;
+  routePreview = res.ok ? { mapId: currentMap.id, ...(await res.json()) } : null;
+  renderMap2D(currentMap);
+});
+
 // Draw a 3D map using Babylon.js on the renderCanvas
 function renderMap3D(map) {
   // Hide 2D canvas and show 3D canvas
@@ -393,35 +617,22 @@ function renderMap3D(map) {
   const camera = new BABYLON.ArcRotateCamera('mapCamera', -Math.PI / 2, Math.PI / 2.2, radius, target, scene);
   camera.attachControl(renderCanvas, true);
   new BABYLON.HemisphericLight('light', new BABYLON.Vector3(0, 1, 0), scene);
-  // Colours mapping
-  const colours = {
-    grass: '#7CFC00',
-    road: '#DEB887',
-    house: '#8B4513',
-    forest: '#228B22',
-    water: '#1E90FF',
-    rock: '#808080',
-    floor: '#A9A9A9',
-    // new biomes/tiles
-    void: '#000000',
-    asteroid: '#505050',
-    station: '#A0A0A0',
-    sky: '#87CEEB',
-    cloud: '#F0F8FF',
-    island: '#D2B48C',
-    coral: '#FF7F50',
-    sand: '#C2B280',
-    portal: '#800080',
-  };
-  // Create a ground tile for each map cell
+  // Create a ground tile for each explored map cell; remembered cells
+  // are drawn darker than the ones in sight
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
       const tile = map.tiles[y][x];
+      const fog = fogAt(map, x, y);
+      if (fog === FOG_UNEXPLORED) continue;
       const ground = BABYLON.MeshBuilder.CreateGround(`tile_${x}_${y}`, { width: 1, height: 1 }, scene);
+      const type = tileTypes[tile] || {};
       ground.position.x = x;
+      ground.position.y = type.elevation || 0;
       ground.position.z = y;
       const mat = new BABYLON.StandardMaterial(`mat_${x}_${y}`, scene);
-      mat.diffuseColor = BABYLON.Color3.FromHexString(colours[tile] || '#CCCCCC');
+      const colour = BABYLON.Color3.FromHexString(tileColour(tile));
+      mat.diffuseColor = fog === FOG_REMEMBERED ? colour.scale(0.4) : colour;
+      if (type.texture) mat.diffuseTexture = new BABYLON.Texture(type.texture, scene);
       ground.material = mat;
     }
   }
@@ -431,6 +642,65 @@ function renderMap3D(map) {
   window.addEventListener('resize', () => engine3d.resize());
 }
 
+// Show the party's location in the campaign, the NPCs there and a
+// button for each location the party can travel to
+function updateLocation(state) {
+  const campaign = state && state.campaign;
+  if (!campaign || !campaign.location) {
+    locationSection.classList.add('hidden');
+    return;
+  }
+  const here = campaign.location;
+  let html = `<p><strong>${here.name}</strong></p>`;
+  if (here.description) html += `<p>${here.description}</p>`;
+  if (campaign.npcs.length > 0) {
+    html += `<p><strong>Here:</strong> ${campaign.npcs.map((npc) => npc.name).join(', ')}</p>`;
+  }
+  locationInfoDiv.innerHTML = html;
+  travelOptionsDiv.innerHTML = '';
+  for (const id of here.connections) {
+    const target = campaign.locations.find((l) => l.id === id);
+    const btn = document.createElement('button');
+    btn.textContent = `Travel to ${target ? target.name : id}${target && target.visited ? '' : ' (unexplored)'}`;
+    btn.addEventListener('click', () => {
+      socket.emit('travel', { gameId: gameIdInput.value.trim(), locationId: id });
+    });
+    travelOptionsDiv.appendChild(btn);
+  }
+  locationSection.classList.remove('hidden');
+}
+
+// The party arrived somewhere; the location panel follows the game state
+socket.on('locationEntered', (arrival) => {
+  appendLog(arrival.message);
+  if (arrival.location.description) appendLog(arrival.location.description);
+});
+
+// List the quests with a tick for each objective done
+function updateQuests(state) {
+  const quests = (state && state.quests) || [];
+  if (quests.length === 0) {
+    questSection.classList.add('hidden');
+    return;
+  }
+  let html = '';
+  for (const quest of quests) {
+    html += `<p><strong>${quest.name}</strong>${quest.status === 'completed' ? ' (completed)' : ''}</p><ul>`;
+    for (const o of quest.objectives) {
+      const count = o.count > 1 ? ` (${o.progress}/${o.count})` : '';
+      html += `<li>${o.done ? '&#10003;' : '&#9744;'} ${o.description}${count}</li>`;
+    }
+    html += '</ul>';
+  }
+  questLogDiv.innerHTML = html;
+  questSection.classList.remove('hidden');
+}
+
+// A quest began, advanced or was completed
+socket.on('questUpdated', (update) => {
+  appendLog(update.message);
+});
+
 // Update the character sheet display based on the latest game state
 function updateCharacterSheet(state) {
   if (!state) return;
@@ -446,7 +716,13 @@ function updateCharacterSheet(state) {
   html += `<p><strong>Race:</strong> ${c.race || ''}</p>`;
   html += `<p><strong>Class:</strong> ${c.class || ''}</p>`;
   html += `<p><strong>Level:</strong> ${c.level || 1} &nbsp;&nbsp; <strong>XP:</strong> ${c.experience || 0}</p>`;
-  html += `<p><strong>HP:</strong> ${c.hp || '?'} &nbsp;&nbsp; <strong>AC:</strong> ${c.ac || 10}</p>`;
+  const maxHp = typeof c.maxHp === 'number' ? ` / ${c.maxHp}` : '';
+  html += `<p><strong>HP:</strong> ${c.hp ?? '?'}${maxHp} &nbsp;&nbsp; <strong>AC:</strong> ${c.ac || 10}</p>`;
+  if (c.status === 'dead') {
+    html += '<p><strong>Dead</strong></p>';
+  } else if (c.status === 'unconscious') {
+    html += `<p><strong>Unconscious</strong> (${c.stable ? 'stable' : 'dying'})</p>`;
+  }
   // Ability scores
   if (c.abilityScores) {
     html += '<p><strong>Ability Scores:</strong></p><ul>';
@@ -456,6 +732,19 @@ function updateCharacterSheet(state) {
     }
     html += '</ul>';
   }
+  // Modifiers derived from the ability scores (only those that apply)
+  if (c.modifiers) {
+    const labels = {
+      meleeHit: 'Melee hit', meleeDamage: 'Melee damage', missileHit: 'Missile hit', ac: 'AC',
+      hpPerDie: 'HP per die', saveVsMagic: 'Saves vs magic', reaction: 'Reactions',
+    };
+    const active = Object.entries(c.modifiers).filter(([, value]) => value !== 0);
+    if (active.length > 0) {
+      html += '<p><strong>Modifiers:</strong> ';
+      html += active.map(([key, value]) => `${labels[key] || key} ${value > 0 ? '+' : ''}${value}`).join(', ');
+      html += '</p>';
+    }
+  }
   // Saving throws
   if (c.savingThrows) {
     html += '<p><strong>Saving Throws:</strong></p><ul>';
@@ -464,17 +753,98 @@ function updateCharacterSheet(state) {
     }
     html += '</ul>';
   }
-  // Inventory
+  // Conditions with the rounds or uses left
+  if (Array.isArray(c.conditions) && c.conditions.length > 0) {
+    html += '<p><strong>Conditions:</strong></p><ul>';
+    for (const cond of c.conditions) {
+      const left = [];
+      if (cond.remaining !== null) left.push(`${cond.remaining} rounds`);
+      if (cond.uses) left.push(`${cond.uses} uses`);
+      html += `<li>${cond.name}${left.length > 0 ? ` (${left.join(', ')})` : ''}</li>`;
+    }
+    html += '</ul>';
+  }
+  // Thief skills (percent chance at the character's level), each with a
+  // button to roll a check
+  if (c.thiefSkills) {
+    html += '<p><strong>Thief Skills:</strong></p><ul>';
+    for (const [key, value] of Object.entries(c.thiefSkills)) {
+      html += `<li>${key}: ${value}% <button data-skill="${key}">Try</button></li>`;
+    }
+    html += '</ul>';
+  }
+  // Spell slots (remaining / total per spell level) and prepared spells
+  if (c.spellSlots && Object.keys(c.spellSlots).length > 0) {
+    html += '<p><strong>Spell Slots:</strong></p><ul>';
+    for (const [level, slot] of Object.entries(c.spellSlots)) {
+      html += `<li>Level ${level}: ${slot.total - slot.used} / ${slot.total}</li>`;
+    }
+    html += '</ul>';
+  }
+  if (Array.isArray(c.preparedSpells) && c.preparedSpells.length > 0) {
+    html += '<p><strong>Prepared Spells:</strong></p><ul>';
+    for (const spell of c.preparedSpells) {
+      html += `<li>${spell.name}${spell.expended ? ' (cast)' : ''}</li>`;
+    }
+    html += '</ul>';
+  }
+  // Equipped gear, each with a button to take it off
+  if (c.equipment && Object.keys(c.equipment).length > 0) {
+    html += '<p><strong>Equipment:</strong></p><ul>';
+    for (const [slot, item] of Object.entries(c.equipment)) {
+      html += `<li>${slot}: ${item} <button data-unequip="${slot}">Remove</button></li>`;
+    }
+    html += '</ul>';
+  }
+  // Inventory; using gear equips it, using a potion drinks it
   if (Array.isArray(c.inventory) && c.inventory.length > 0) {
     html += '<p><strong>Inventory:</strong></p><ul>';
     for (const item of c.inventory) {
-      html += `<li>${item}</li>`;
+      html += `<li>${item} <button data-use="${item}">Use / Equip</button></li>`;
+    }
+    html += '</ul>';
+  }
+  const coinText = (coins) => ['cp', 'sp', 'ep', 'gp', 'pp']
+    .filter((coin) => coins && coins[coin])
+    .map((coin) => `${coins[coin]} ${coin}`)
+    .join(', ');
+  if (c.coins && coinText(c.coins)) {
+    html += `<p><strong>Coins:</strong> ${coinText(c.coins)}</p>`;
+  }
+  // The party's loot pile from slain monsters
+  const loot = state.loot;
+  if (loot && (coinText(loot.coins) || loot.items.length > 0)) {
+    html += '<p><strong>Loot:</strong></p><ul>';
+    if (coinText(loot.coins)) {
+      html += `<li>${coinText(loot.coins)} <button data-divide-loot="1">Divide</button></li>`;
+    }
+    for (const item of loot.items) {
+      html += `<li>${item} <button data-take-loot="${item}">Take</button></li>`;
     }
     html += '</ul>';
   }
   characterSheetDiv.innerHTML = html;
 }
 
+// Buttons inside the character sheet are re-rendered with each state,
+// so handle their clicks on the container
+characterSheetDiv.addEventListener('click', (e) => {
+  const gameId = gameIdInput.value.trim();
+  const button = e.target.closest('button');
+  if (!gameId || !button) return;
+  if (button.dataset.use) {
+    socket.emit('useItem', { gameId, itemId: button.dataset.use });
+  } else if (button.dataset.unequip) {
+    socket.emit('unequipItem', { gameId, slot: button.dataset.unequip });
+  } else if (button.dataset.skill) {
+    socket.emit('action', { gameId, action: { type: 'skillCheck', skill: button.dataset.skill } });
+  } else if (button.dataset.takeLoot) {
+    socket.emit('action', { gameId, action: { type: 'takeLoot', itemId: button.dataset.takeLoot } });
+  } else if (button.dataset.divideLoot) {
+    socket.emit('action', { gameId, action: { type: 'divideLoot' } });
+  }
+});
+
 // Re-render the map when the render mode changes
 for (const input of mapModeInputs) {
   input.addEventListener('change', () => {
@@ -492,16 +862,29 @@ spawnOrcBtn.addEventListener('click', () => {
 attackMonsterBtn.addEventListener('click', () => {
   const gameId = gameIdInput.value.trim();
   if (!gameId) return;
-  const monsters = gameState.monsters;
-  if (!Array.isArray(monsters) || monsters.length === 0) {
+  // Slain monsters stay in the state as corpses
+  const monsters = (gameState.monsters || []).filter((m) => m.status !== 'dead');
+  if (monsters.length === 0) {
     alert('No monsters to attack.');
     return;
   }
-  // Attack the first monster in the list
+  // Attack the first living monster in the list
   const target = monsters[0];
   socket.emit('action', { gameId, action: { type: 'attack', targetType: 'monster', targetId: target.instanceId } });
 });
 
+startEncounterBtn.addEventListener('click', () => {
+  const gameId = gameIdInput.value.trim();
+  if (!gameId) return;
+  socket.emit('startEncounter', { gameId });
+});
+
+endTurnBtn.addEventListener('click', () => {
+  const gameId = gameIdInput.value.trim();
+  if (!gameId) return;
+  socket.emit('action', { gameId, action: { type: 'endTurn' } });
+});
+
 givePotionBtn.addEventListener('click', () => {
   const gameId = gameIdInput.value.trim();
   if (!gameId) return;
@@ -509,18 +892,25 @@ givePotionBtn.addEventListener('click', () => {
   socket.emit('giveItem', { gameId, targetPlayerId: socket.id, itemId: 'healingPotion' });
 });
 
+giveGearBtn.addEventListener('click', () => {
+  const gameId = gameIdInput.value.trim();
+  if (!gameId) return;
+  socket.emit('giveItem', { gameId, targetPlayerId: socket.id, itemId: 'shortSword' });
+  socket.emit('giveItem', { gameId, targetPlayerId: socket.id, itemId: 'shield' });
+});
+
 usePotionBtn.addEventListener('click', () => {
   const gameId = gameIdInput.value.trim();
   if (!gameId) return;
   socket.emit('useItem', { gameId, itemId: 'healingPotion' });
 });
 
-// Cast Magic Missile at the first monster in the game
+// Cast Magic Missile at the first living monster in the game
 magicMissileBtn.addEventListener('click', () => {
   const gameId = gameIdInput.value.trim();
   if (!gameId) return;
-  const monsters = gameState.monsters;
-  if (!Array.isArray(monsters) || monsters.length === 0) {
+  const monsters = (gameState.monsters || []).filter((m) => m.status !== 'dead');
+  if (monsters.length === 0) {
     alert('No monsters to target.');
     return;
   }
@@ -551,15 +941,28 @@ cureWoundsBtn.addEventListener('click', () => {
   });
 });
 
+// Rest to restore spell slots
+restBtn.addEventListener('click', () => {
+  const gameId = gameIdInput.value.trim();
+  if (!gameId) return;
+  socket.emit('rest', { gameId });
+});
+
 // Receive campaign selection confirmation from server
 socket.on('campaignSelected', (summary) => {
   // Hide campaign selection and show character creation
   campaignSection.classList.add('hidden');
-  // Show map selection
-  loadMaps();
-  mapSection.classList.remove('hidden');
+  if (summary.location && summary.location.map) {
+    // The campaign starts the party on a map of its own
+    characterSection.classList.remove('hidden');
+  } else {
+    // Show map selection
+    loadMaps();
+    mapSection.classList.remove('hidden');
+  }
   // Optionally log the campaign name
   appendLog(`Campaign selected: ${summary.name}`);
+  if (summary.location) appendLog(`You are at ${summary.location.name}. ${summary.location.description}`);
   // Load dialogues for this campaign
   loadDialogues(summary.id);
 });
@@ -621,9 +1024,11 @@ socket.on('dialogueNode', (data) => {
   dialogueOptionsDiv.innerHTML = '';
   // Create buttons for options
   if (Array.isArray(data.options) && data.options.length > 0) {
-    data.options.forEach((text, idx) => {
+    // Only the options the character qualifies for are sent, each with
+    // its index in the node
+    data.options.forEach((option) => {
       const btn = document.createElement('button');
-      btn.textContent = text;
+      btn.textContent = option.text;
       btn.style.display = 'block';
       btn.style.marginBottom = '0.25rem';
       btn.addEventListener('click', () => {
@@ -633,7 +1038,7 @@ socket.on('dialogueNode', (data) => {
           dialogueId: currentDialogueId,
           conversationId: currentConversationId,
           nodeId: currentNodeId,
-          optionIndex: idx,
+          optionIndex: option.index,
         });
       });
       dialogueOptionsDiv.appendChild(btn);
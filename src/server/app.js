@@ -14,6 +14,7 @@ import { fileURLToPath } from 'url';
 // Import our routes and socket handlers
 import routes from './routes/index.js';
 import registerSockets from './sockets/index.js';
+import models from './models/index.js';
 
 // Resolve __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -44,8 +45,10 @@ app.use(express.json());
 // Mount API routes under /api
 app.use('/api', routes);
 
-// Register WebSocket handlers
+// Register WebSocket handlers; routes reach socket.io through the app
+// to notify players of changes
 registerSockets(io);
+app.set('io', io);
 
 // Catch‑all route to serve index.html for client‑side routing (if you add
 // a front‑end router).  Must come after API routes.
@@ -57,4 +60,12 @@ app.get('*', (req, res) => {
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, () => {
   console.log(`🚀 Server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+});
+
+// Write any pending game changes to storage before shutting down
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    models.flush();
+    process.exit(0);
+  });
+}
\ No newline at end of file
@@ -31,15 +31,24 @@ export function listCampaigns() {
 }
 
 /**
- * Load a single campaign by its id.  Returns null if not found.
+ * Load a single campaign by its id.  The file is usually named after
+ * the id, but any campaign file with that `id` will do (the sample
+ * campaign `test` lives in `test-campaign.json`).  Returns null if not
+ * found.
  * @param {string} id
  * @returns {object|null}
  */
 export function getCampaign(id) {
   try {
     const filePath = path.join(campaignsDir, `${id}.json`);
-    if (!fs.existsSync(filePath)) return null;
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    for (const f of fs.readdirSync(campaignsDir).filter((name) => name.endsWith('.json'))) {
+      const content = JSON.parse(fs.readFileSync(path.join(campaignsDir, f), 'utf8'));
+      if (content.id === id) return content;
+    }
+    return null;
   } catch (err) {
     console.error(`Failed to load campaign ${id}:`, err);
     return null;
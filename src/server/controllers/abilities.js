@@ -0,0 +1,218 @@
+// Ability score controller
+//
+// Helpers for the six ability scores (str, dex, con, int, wis, cha)
+// stored in `character.abilityScores`.  Scores map to modifiers on the
+// table in `rules/abilities.json` (3 → -3 … 18 → +3), which apply as
+//
+//   STR – melee attack rolls and melee damage
+//   DEX – armour class and missile attack rolls
+//   CON – hit points per hit die (never below 1 per die)
+//   WIS – saving throws against magic (see `saves.js`)
+//   CHA – reaction rolls
+//
+// Content may also call for an ability check (`abilityCheck`): d20 at or
+// under the score plus any modifier.
+//
+// The values derived from the scores are kept on the character
+// (`modifiers`, `ac`, `maxHp`) and recomputed by `deriveStats` whenever
+// the scores, level, equipment or conditions change.  `baseAc` holds
+// the armour class before DEX, gear (the `acBonus` of equipped items,
+// see `equipment.js`) and conditions (see `conditions.js`), and
+// `hitDieRolls` the raw hit die results, so both can be recomputed
+// without rerolling.
+
+import models from '../models/index.js';
+import { abilities as abilityRules, items as itemRules } from '../rules/index.js';
+import { rollDie, rollDice, withModifier } from './dice.js';
+import { describeEvent, playerRef, monsterRef } from './events.js';
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/**
+ * Modifier for an ability score.  Missing scores count as average.
+ * @param {number} score
+ * @returns {number}
+ */
+export function abilityModifier(score) {
+  const value = Number(score);
+  if (!Number.isFinite(value)) return 0;
+  const rows = abilityRules.modifiers || [];
+  const row = rows.find((r) => r.maxScore === null || value <= r.maxScore);
+  return row ? row.modifier : 0;
+}
+
+/**
+ * Modifier for one of a character's abilities.
+ * @param {object} character
+ * @param {string} ability 'str', 'dex', 'con', 'int', 'wis' or 'cha'
+ * @returns {number}
+ */
+export function modifierFor(character, ability) {
+  const scores = (character && character.abilityScores) || {};
+  return abilityModifier(scores[ability]);
+}
+
+/**
+ * Hit points gained from one hit die roll with a CON modifier.
+ * @param {number} roll
+ * @param {number} con
+ * @returns {number}
+ */
+export function hitPointsForDie(roll, con) {
+  return Math.max(1, roll + con);
+}
+
+/**
+ * Total armour class bonus of a character's equipped items.
+ * @param {object} character
+ * @returns {number}
+ */
+function gearAcBonus(character) {
+  let bonus = 0;
+  for (const itemId of Object.values(character.equipment || {})) {
+    const item = itemRules[itemId];
+    if (item && item.effect && item.effect.acBonus) bonus += item.effect.acBonus;
+  }
+  return bonus;
+}
+
+/**
+ * Total armour class modifier of a character's conditions.
+ * @param {object} character
+ * @returns {number}
+ */
+function conditionAcBonus(character) {
+  return (character.conditions || []).reduce((sum, c) => sum + ((c.modifiers && c.modifiers.ac) || 0), 0);
+}
+
+/**
+ * Recompute the values derived from a character's ability scores,
+ * gear and conditions: the `modifiers` summary, armour class and
+ * maximum hit points.  When the maximum changes, current hit points
+ * move by the same amount.  Mutates and returns the character.
+ * @param {object} character
+ * @returns {object}
+ */
+export function deriveStats(character) {
+  const mod = (ability) => modifierFor(character, ability);
+  character.modifiers = {
+    meleeHit: mod('str'),
+    meleeDamage: mod('str'),
+    missileHit: mod('dex'),
+    ac: mod('dex'),
+    hpPerDie: mod('con'),
+    saveVsMagic: mod('wis'),
+    reaction: mod('cha'),
+  };
+  if (typeof character.baseAc !== 'number') {
+    character.baseAc = typeof character.ac === 'number' ? character.ac : 10;
+  }
+  character.ac = character.baseAc + character.modifiers.ac + gearAcBonus(character) + conditionAcBonus(character);
+  if (Array.isArray(character.hitDieRolls)) {
+    const maxHp = character.hitDieRolls.reduce((sum, roll) => sum + hitPointsForDie(roll, character.modifiers.hpPerDie), 0);
+    if (typeof character.maxHp === 'number' && typeof character.hp === 'number') {
+      character.hp += maxHp - character.maxHp;
+    } else {
+      character.hp = maxHp;
+    }
+    character.maxHp = maxHp;
+  }
+  return character;
+}
+
+/**
+ * Change a character's ability scores and recompute the derived
+ * values.  Scores must be whole numbers from 3 to 18; abilities not
+ * given keep their value.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {object} scores e.g. { str: 16 }
+ * @returns {object} the updated character
+ */
+export function setAbilityScores(gameId, playerId, scores) {
+  const player = models.getPlayer(gameId, playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  for (const [ability, value] of Object.entries(scores || {})) {
+    if (!ABILITIES.includes(ability)) {
+      throw new Error(`Unknown ability: ${ability}`);
+    }
+    if (!Number.isInteger(value) || value < 3 || value > 18) {
+      throw new Error(`${ability.toUpperCase()} must be a whole number from 3 to 18`);
+    }
+  }
+  const character = player.character;
+  character.abilityScores = { ...character.abilityScores, ...scores };
+  deriveStats(character);
+  models.recordEvent(gameId, { type: 'abilityScoresChanged', actor: playerRef(player), scores: { ...scores } });
+  return character;
+}
+
+/**
+ * Roll a reaction for the creatures a player approaches: 2d6 plus the
+ * character's CHA modifier on the `reactions` table of
+ * `rules/abilities.json`.  Recorded as a `reaction` event.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} [monsterId] instance the reaction is rolled for
+ * @returns {{message: string, result: string, event: object}}
+ */
+export function reactionRoll(gameId, playerId, monsterId) {
+  const game = models.getGame(gameId);
+  const player = game ? game.players.get(playerId) : null;
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  let target = null;
+  if (monsterId) {
+    const monster = game.monsters.get(monsterId);
+    if (!monster) {
+      throw new Error('Monster not found');
+    }
+    target = monsterRef(monster);
+  }
+  const modifier = modifierFor(player.character, 'cha');
+  const roll = rollDice(withModifier('2d6', modifier), game.rng);
+  const rows = abilityRules.reactions || [];
+  const row = rows.find((r) => r.maxRoll === null || roll.total <= r.maxRoll) || {};
+  const event = models.recordEvent(gameId, {
+    type: 'reaction',
+    actor: playerRef(player),
+    target,
+    roll,
+    result: row.result || 'uncertain',
+  });
+  return { message: describeEvent(event), result: event.result, event };
+}
+
+/**
+ * Roll an ability check for a player's character: d20 at or under the
+ * ability score plus any modifier succeeds.  Missing scores count as
+ * average.  Recorded as an `abilityCheck` event.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} ability 'str', 'dex', 'con', 'int', 'wis' or 'cha'
+ * @param {{modifier?: number, source?: string}} [options] modifier to
+ *   the score and what called for the check
+ * @returns {{message: string, check: object, event: object}}
+ */
+export function abilityCheck(gameId, playerId, ability, options = {}) {
+  const game = models.getGame(gameId);
+  const player = game ? game.players.get(playerId) : null;
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  if (!ABILITIES.includes(ability)) {
+    throw new Error(`Unknown ability: ${ability}`);
+  }
+  const modifier = options.modifier || 0;
+  const scores = player.character.abilityScores || {};
+  const score = Number.isFinite(Number(scores[ability])) ? Number(scores[ability]) : 10;
+  const roll = rollDie(20, game.rng);
+  const check = { ability, roll, score, modifier, success: roll <= score + modifier };
+  const event = { type: 'abilityCheck', actor: playerRef(player), ...check };
+  if (options.source) event.source = options.source;
+  const recorded = models.recordEvent(gameId, event);
+  return { message: describeEvent(recorded), check, event: recorded };
+}
@@ -0,0 +1,250 @@
+// Monster AI controller
+//
+// Decides what a monster does on its turn in an encounter.  Each monster
+// type declares a behaviour profile in `rules/monsters.json`:
+//
+//   "behaviour": "targetWeakest",   how it picks its target (default aggressive)
+//   "morale": 8,                    2–12; 12 never breaks
+//   "fleeAt": 0.25                  flee outright at or below this share of max HP
+//
+// The behaviours are:
+//
+//   aggressive     – attacks a random conscious character
+//   targetWeakest  – attacks the conscious character with the fewest hit points
+//   protectLeader  – attacks whoever last struck its leader (the monster
+//                    with the most hit dice), otherwise fights aggressively
+//   cowardly       – picks on the weakest and checks morale on every turn
+//                    once it is hurt or outnumbered
+//
+// More can be added with `registerBehaviour`.  Before acting a monster
+// checks morale the first time it is reduced to half its hit points,
+// when the first monster in the encounter falls and when half of them
+// are down: it rolls 2d6 and flees if the roll is above its morale.  A
+// monster that passes two checks fights to the death.  Monsters that
+// flee leave the game.  On a map a monster first walks towards its
+// target along the cheapest route (see `movement.js`) and attacks only
+// once it stands next to them.  Outside encounters monsters do not act,
+// so no timers run on the server.
+
+import models from '../models/index.js';
+import { monsters as monsterRules } from '../rules/index.js';
+import { rollDie, rollDice } from './dice.js';
+import { monsterAttack } from './combat.js';
+import { describeEvent, monsterRef } from './events.js';
+import { isDown } from './health.js';
+import { approach, inReach, sameMap } from './movement.js';
+
+// Morale of monsters whose rules give none
+const DEFAULT_MORALE = 8;
+
+// Checks passed after which a monster fights to the death
+const CHECKS_TO_STAND_FIRM = 2;
+
+// Characters a monster may attack: conscious ones on its map
+function conscious(game, monster) {
+  return Array.from(game.players.values()).filter(
+    (p) => p.character && !isDown(p.character) && sameMap(p, monster),
+  );
+}
+
+function randomTarget(game, monster, targets) {
+  return targets[rollDie(targets.length, game.rng) - 1];
+}
+
+function weakestTarget(game, monster, targets) {
+  return targets.reduce((weakest, p) => (p.character.hp < weakest.character.hp ? p : weakest));
+}
+
+// The monster with the most hit dice in the game; the first spawned wins ties
+function leaderOf(game) {
+  let leader = null;
+  for (const m of game.monsters.values()) {
+    if (m.status === 'dead') continue;
+    const hd = (monsterRules[m.type] && monsterRules[m.type].hitDice) || 1;
+    const best = leader ? (monsterRules[leader.type] && monsterRules[leader.type].hitDice) || 1 : -Infinity;
+    if (hd > best) leader = m;
+  }
+  return leader;
+}
+
+// The player who most recently attacked or cast a spell at a monster
+function lastAttackerOf(game, monster) {
+  for (let i = game.events.length - 1; i >= 0; i -= 1) {
+    const e = game.events[i];
+    if ((e.type === 'attack' || e.type === 'spell') && e.actor && e.actor.kind === 'player'
+      && e.target && e.target.kind === 'monster' && e.target.id === monster.instanceId) {
+      return game.players.get(e.actor.id) || null;
+    }
+  }
+  return null;
+}
+
+function leaderAttackerTarget(game, monster, targets) {
+  const leader = leaderOf(game);
+  if (leader && leader !== monster) {
+    const attacker = lastAttackerOf(game, leader);
+    if (attacker && targets.includes(attacker)) return attacker;
+  }
+  return randomTarget(game, monster, targets);
+}
+
+// Behaviour profiles.  `target` picks the character to attack from the
+// conscious ones; `wary` behaviours check morale on every turn once
+// hurt or outnumbered.
+const BEHAVIOURS = {
+  aggressive: { target: randomTarget },
+  targetWeakest: { target: weakestTarget },
+  protectLeader: { target: leaderAttackerTarget },
+  cowardly: { target: weakestTarget, wary: true },
+};
+
+/**
+ * Add or replace a behaviour profile that monsters can name in their
+ * rules.
+ * @param {string} name
+ * @param {{target: function(object, object, object[]): object, wary?: boolean}} behaviour
+ */
+export function registerBehaviour(name, behaviour) {
+  if (!behaviour || typeof behaviour.target !== 'function') {
+    throw new Error('A behaviour needs a target function');
+  }
+  BEHAVIOURS[name] = behaviour;
+}
+
+/**
+ * The behaviour profile of a monster instance.  Throws if its rules
+ * name an unknown behaviour.
+ * @param {object} monster
+ * @returns {object}
+ */
+export function behaviourOf(monster) {
+  const rules = monsterRules[monster.type] || {};
+  const name = rules.behaviour || 'aggressive';
+  const behaviour = BEHAVIOURS[name];
+  if (!behaviour) {
+    throw new Error(`Unknown monster behaviour: ${name}`);
+  }
+  return behaviour;
+}
+
+// Monster entries of the encounter that can no longer fight
+function monstersDown(game) {
+  const entries = game.encounter ? game.encounter.order.filter((e) => e.kind === 'monster') : [];
+  const down = entries.filter((e) => {
+    const m = game.monsters.get(e.id);
+    return !m || m.status === 'dead';
+  });
+  return { down: down.length, total: entries.length };
+}
+
+// The morale triggers a monster has not yet checked for
+function pendingTriggers(game, monster, behaviour) {
+  const checked = monster.morale.checked;
+  const triggers = [];
+  const maxHp = monster.maxHp || monster.hp;
+  const wounded = monster.hp <= maxHp / 2;
+  if (wounded && !checked.includes('wounded')) triggers.push('wounded');
+  const { down, total } = monstersDown(game);
+  if (down > 0 && !checked.includes('casualty')) triggers.push('casualty');
+  if (total > 0 && down * 2 >= total && !checked.includes('halfDown')) triggers.push('halfDown');
+  if (behaviour.wary && triggers.length === 0) {
+    const fighting = total - down;
+    if (monster.hp < maxHp || conscious(game, monster).length > fighting) triggers.push('wary');
+  }
+  return triggers;
+}
+
+/**
+ * Roll a morale check for a monster (2d6 against its morale) and record
+ * a `morale` event.  Monsters with morale 12 always stand.
+ * @param {string} gameId
+ * @param {object} monster
+ * @param {string} trigger what prompted the check
+ * @returns {{roll: object|null, morale: number, success: boolean, event: object}}
+ */
+export function moraleCheck(gameId, monster, trigger) {
+  const game = models.getGame(gameId);
+  const rules = monsterRules[monster.type] || {};
+  const morale = typeof rules.morale === 'number' ? rules.morale : DEFAULT_MORALE;
+  const roll = morale >= 12 ? null : rollDice('2d6', game.rng);
+  const success = !roll || roll.total <= morale;
+  if (!monster.morale) monster.morale = { checked: [], passed: 0 };
+  if (trigger !== 'wary') monster.morale.checked.push(trigger);
+  if (success) monster.morale.passed += 1;
+  const event = models.recordEvent(gameId, {
+    type: 'morale',
+    actor: monsterRef(monster),
+    trigger,
+    roll,
+    morale,
+    success,
+  });
+  return { roll, morale, success, event };
+}
+
+/**
+ * Make a monster flee the fight.  It leaves the game and a `monsterFled`
+ * event is recorded.
+ * @param {string} gameId
+ * @param {object} monster
+ * @returns {object} the recorded event
+ */
+export function flee(gameId, monster) {
+  const game = models.getGame(gameId);
+  monster.status = 'fled';
+  game.monsters.delete(monster.instanceId);
+  return models.recordEvent(gameId, { type: 'monsterFled', actor: monsterRef(monster) });
+}
+
+/**
+ * Take a monster's turn: flee if badly hurt or its morale breaks,
+ * otherwise close in on the target its behaviour picks and attack it
+ * when in reach.  Returns what it did (`flee`, `wait`, `move` or
+ * `attack`) and the log lines of the events it caused.
+ * @param {string} gameId
+ * @param {string} monsterId monster instance id
+ * @returns {{action: string, messages: string[], result?: object}}
+ */
+export function takeMonsterTurn(gameId, monsterId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const monster = game.monsters.get(monsterId);
+  if (!monster || monster.status === 'dead') {
+    throw new Error('Monster not found');
+  }
+  const rules = monsterRules[monster.type] || {};
+  const behaviour = behaviourOf(monster);
+  const messages = [];
+  if (!monster.morale) monster.morale = { checked: [], passed: 0 };
+  const maxHp = monster.maxHp || monster.hp;
+  if (rules.fleeAt && monster.hp <= maxHp * rules.fleeAt) {
+    messages.push(describeEvent(flee(gameId, monster)));
+    return { action: 'flee', messages };
+  }
+  if (monster.morale.passed < CHECKS_TO_STAND_FIRM) {
+    for (const trigger of pendingTriggers(game, monster, behaviour)) {
+      const check = moraleCheck(gameId, monster, trigger);
+      messages.push(describeEvent(check.event));
+      if (!check.success) {
+        messages.push(describeEvent(flee(gameId, monster)));
+        return { action: 'flee', messages };
+      }
+      if (monster.morale.passed >= CHECKS_TO_STAND_FIRM) break;
+    }
+  }
+  const targets = conscious(game, monster);
+  if (targets.length === 0) {
+    return { action: 'wait', messages };
+  }
+  const target = behaviour.target(game, monster, targets);
+  const moved = approach(gameId, monster, target);
+  if (moved) messages.push(moved.message);
+  if (!inReach(game, monster, target)) {
+    return { action: moved ? 'move' : 'wait', messages };
+  }
+  const result = monsterAttack(gameId, monsterId, target.id);
+  messages.push(describeEvent(result.event));
+  return { action: 'attack', messages, result };
+}
@@ -0,0 +1,246 @@
+// Campaign controller
+//
+// Runs the campaign selected for a game.  The campaign's `maps` are its
+// locations, joined into a graph by their `connections` (travel works
+// both ways along a connection):
+//
+//   {
+//     "id": "town-square",
+//     "name": "Town Square",
+//     "description": "A bustling plaza where adventurers gather.",
+//     "map": "town",
+//     "connections": ["dark-cave"],
+//     "npcs": [{ "id": "oldMan", "name": "Old Man", "dialogue": "oldManIntro" }],
+//     "monsters": ["orc", { "type": "goblin", "count": 2, "position": { "x": 5, "y": 5 } }]
+//   }
+//
+// `map` names the map in `maps/` the location is played on; without it
+// a map with the location's id is used if there is one.  A location may
+// also list `start` and `spawnPoints` for its map (see `movement.js`).
+//
+// Selecting a campaign drops the party at its `startingLocation` and
+// begins its quests (see `quests.js`).  The runtime state is kept in
+// `game.scene`:
+//
+//   location  id of the location the party is at (null before the first)
+//   visited   ids of the locations visited, in the order of first visits
+//   npcs      the NPCs present at the location
+//
+// Entering a location makes its map the active map, placing the party
+// on it, and brings in its NPCs.  Its monsters are spawned on the first
+// visit only, so slain monsters stay slain when the party comes back.
+
+import models from '../models/index.js';
+import { getCampaign } from '../campaigns/index.js';
+import { getMap } from '../maps/index.js';
+import { describeEvent, monsterRef } from './events.js';
+import { spawnMonster } from './monster.js';
+import { selectMap } from './movement.js';
+import { startCampaignQuests } from './quests.js';
+
+// The locations of a campaign
+function locationsOf(campaign) {
+  return (campaign && campaign.maps) || [];
+}
+
+// A location of a campaign by id, or null
+function findLocation(campaign, id) {
+  return locationsOf(campaign).find((l) => l.id === id) || null;
+}
+
+// The id of the map a location is played on, or null when it has none
+function mapOfLocation(location) {
+  if (location.map) return location.map;
+  return getMap(location.id) ? location.id : null;
+}
+
+// Whether the party can travel directly between two locations
+function connected(campaign, fromId, toId) {
+  const from = findLocation(campaign, fromId);
+  const to = findLocation(campaign, toId);
+  return ((from && from.connections) || []).includes(toId)
+    || ((to && to.connections) || []).includes(fromId);
+}
+
+/**
+ * The NPC present at the party's location who speaks the conversation
+ * `conversationId` (an NPC's `dialogue`), or null.
+ * @param {object} game
+ * @param {string} conversationId
+ * @returns {{id: string, name: string}|null}
+ */
+export function npcWithDialogue(game, conversationId) {
+  const npc = ((game.scene && game.scene.npcs) || []).find((n) => n.dialogue === conversationId);
+  return npc ? { id: npc.id, name: npc.name } : null;
+}
+
+// The NPCs of a location; an NPC may be given by name alone
+function npcsOf(location) {
+  return (location.npcs || []).map((npc) => (typeof npc === 'string' ? { id: npc, name: npc } : { ...npc }));
+}
+
+// The game's scene state; games from before the campaign runtime get an
+// empty one
+function sceneOf(game) {
+  if (!game.scene) game.scene = { location: null, visited: [], npcs: [] };
+  return game.scene;
+}
+
+// Spawn the monsters a location lists.  An entry is a monster type or
+// `{ type, count, position }`; the position is used for the first of
+// them and the rest go to the location's spawn points.
+function spawnLocationMonsters(gameId, location, mapId) {
+  const spawned = [];
+  for (const entry of location.monsters || []) {
+    const { type, count = 1, position } = typeof entry === 'string' ? { type: entry } : entry;
+    for (let i = 0; i < count; i += 1) {
+      const monster = spawnMonster(gameId, type, i === 0 ? position : undefined, mapId || undefined);
+      monster.locationId = location.id;
+      spawned.push(monster);
+    }
+  }
+  return spawned;
+}
+
+// Move the party to a location and record a `locationEntered` event.
+// With `options.arrived` the party is already on the location's map
+// (they came through an exit) and is not placed again.
+function enterLocation(gameId, location, options = {}) {
+  const game = models.getGame(gameId);
+  const scene = sceneOf(game);
+  const first = !scene.visited.includes(location.id);
+  const mapId = mapOfLocation(location);
+  scene.location = location.id;
+  scene.npcs = npcsOf(location);
+  if (first) scene.visited.push(location.id);
+  if (mapId && !options.arrived) selectMap(gameId, mapId);
+  const monsters = first ? spawnLocationMonsters(gameId, location, mapId) : [];
+  const event = models.recordEvent(gameId, {
+    type: 'locationEntered',
+    location: { id: location.id, name: location.name },
+    first,
+    monsters: monsters.map(monsterRef),
+  });
+  return { message: describeEvent(event), location: describeLocation(game.campaign, location, scene), event };
+}
+
+// What the players know of a location
+function describeLocation(campaign, location, scene) {
+  return {
+    id: location.id,
+    name: location.name,
+    description: location.description || '',
+    map: mapOfLocation(location),
+    visited: scene.visited.includes(location.id),
+    connections: locationsOf(campaign)
+      .filter((l) => l.id !== location.id && connected(campaign, location.id, l.id))
+      .map((l) => l.id),
+  };
+}
+
+/**
+ * Select a campaign for a game, drop the party at its
+ * `startingLocation` and begin its quests (see `quests.js`).  Records a
+ * `campaignSelected` event and, when the campaign has a starting
+ * location, a `locationEntered` event.  Throws
+ * if the campaign does not exist or its starting location is not one of
+ * its locations.
+ * @param {string} gameId
+ * @param {string} campaignId
+ * @returns {{id: string, name: string, description: string, location: object|null}}
+ */
+export function selectCampaign(gameId, campaignId) {
+  const campaign = getCampaign(campaignId);
+  if (!campaign) {
+    throw new Error(`Campaign ${campaignId} does not exist`);
+  }
+  const start = campaign.startingLocation ? findLocation(campaign, campaign.startingLocation) : null;
+  if (campaign.startingLocation && !start) {
+    throw new Error(`Starting location ${campaign.startingLocation} is not a location of campaign ${campaignId}`);
+  }
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  game.campaign = campaign;
+  game.scene = { location: null, visited: [], npcs: [] };
+  models.recordEvent(gameId, { type: 'campaignSelected', campaign: { id: campaign.id, name: campaign.name } });
+  const entered = start ? enterLocation(gameId, start) : null;
+  startCampaignQuests(gameId);
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    description: campaign.description,
+    location: entered ? entered.location : null,
+  };
+}
+
+/**
+ * Take the party from its location to a connected one.  Not allowed
+ * during an encounter.  With `options.anywhere`, as when a dialogue
+ * sends the party on, the location need not be connected.
+ * @param {string} gameId
+ * @param {string} locationId
+ * @param {{anywhere?: boolean}} [options]
+ * @returns {{message: string, location: object, event: object}}
+ */
+export function travel(gameId, locationId, options = {}) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  if (!game.campaign) {
+    throw new Error('Select a campaign first');
+  }
+  if (game.encounter) {
+    throw new Error('You cannot travel during an encounter');
+  }
+  const location = findLocation(game.campaign, locationId);
+  if (!location) {
+    throw new Error(`Location ${locationId} is not part of this campaign`);
+  }
+  const scene = sceneOf(game);
+  if (scene.location === locationId) {
+    throw new Error(`The party is already at ${location.name}`);
+  }
+  if (scene.location && !options.anywhere && !connected(game.campaign, scene.location, locationId)) {
+    throw new Error(`${location.name} cannot be reached from here`);
+  }
+  return enterLocation(gameId, location);
+}
+
+/**
+ * Follow the party through an exit: if the game's active map belongs to
+ * another location of the campaign, the party is now there.  Returns
+ * the entry, or null when nothing changed.
+ * @param {string} gameId
+ * @returns {{message: string, location: object, event: object}|null}
+ */
+export function followParty(gameId) {
+  const game = models.getGame(gameId);
+  if (!game || !game.campaign || !game.mapId) return null;
+  const location = locationsOf(game.campaign).find((l) => mapOfLocation(l) === game.mapId);
+  if (!location || sceneOf(game).location === location.id) return null;
+  return enterLocation(gameId, location, { arrived: true });
+}
+
+/**
+ * The campaign part of the game state: the campaign, the party's
+ * location, every location with whether it was visited and where it
+ * connects to, and the NPCs present.  Null without a campaign.
+ * @param {object} game
+ * @returns {object|null}
+ */
+export function campaignState(game) {
+  if (!game.campaign) return null;
+  const scene = sceneOf(game);
+  const here = scene.location ? findLocation(game.campaign, scene.location) : null;
+  return {
+    id: game.campaign.id,
+    name: game.campaign.name,
+    location: here ? describeLocation(game.campaign, here, scene) : null,
+    visited: scene.visited.slice(),
+    locations: locationsOf(game.campaign).map((l) => describeLocation(game.campaign, l, scene)),
+    npcs: scene.npcs,
+  };
+}
@@ -5,19 +5,123 @@
 // intentionally simple; you should expand them to include initiative,
 // critical hits, saving throws and class‑specific modifiers.  They
 // operate on the in‑memory models defined in `src/server/models`.
+// Every resolved attack is recorded as an `attack` event and returned
+// as `event` in the result summary.  Monster attacks with a `save` block
+// (breath weapons, gazes…) are resolved by the target's saving throw
+// instead of a roll to hit; see `saves.js`.  Player attacks use the
+// weapon in the character's main hand (see `equipment.js`; unarmed
+// blows do 1d2) and add the character's ability modifiers (see
+// `abilities.js`): STR to melee hit and damage rolls, DEX to missile
+// hit rolls.  Conditions (see `conditions.js`) modify attack rolls,
+// damage and armour class, and a monster attack's `effect` block (e.g.
+// `{ "condition": "poisoned" }`) is applied to the player it hits unless
+// they save.  Damage to characters goes through `health.js`, which
+// handles falling unconscious and dying; slain monsters stay in the
+// game as corpses.  A player can only attack a target on their own map:
+// in melee one square away, with a missile within the weapon's `range`
+// in feet (30' for thrown weapons) and in line of sight (see
+// `vision.js`).
 
 import models from '../models/index.js';
-import { rollDie } from './index.js';
+import { rollDie, rollDice, withModifier } from './dice.js';
 import { monsters as monsterRules } from '../rules/index.js';
+import { playerRef, monsterRef } from './events.js';
+import { resolveSave, rollSave, applySave } from './saves.js';
+import { modifierFor } from './abilities.js';
+import { equippedWeapon } from './equipment.js';
+import { applyCondition, conditionModifier, useAttackConditions } from './conditions.js';
+import { monsterSlain } from './monster.js';
+import { damageCharacter } from './health.js';
+import { sameMap, inReach, offMap, distance, mapOf, FEET_PER_SQUARE } from './movement.js';
+import { hasLineOfSight } from './vision.js';
+
+// Damage of an unarmed blow
+const UNARMED_DAMAGE = '1d2';
+
+// Range of missile attacks without a weapon range, in feet
+const THROWN_RANGE = 30;
+
+/**
+ * Work out a player's attack: the damage dice of their weapon and the
+ * ability and condition modifiers that apply.  Missile weapons (or
+ * `ranged` attacks) add DEX to hit; melee attacks add STR to hit and
+ * damage.
+ * @param {object} player
+ * @param {boolean} ranged
+ * @returns {{damage: string, attackBonus: number, damageBonus: number}}
+ */
+function playerAttack(player, ranged) {
+  const character = player.character || {};
+  const weapon = equippedWeapon(character);
+  const damage = (weapon && weapon.damage) || UNARMED_DAMAGE;
+  const attack = conditionModifier(character, 'attack');
+  const extra = conditionModifier(character, 'damage');
+  if (ranged || (weapon && weapon.ranged)) {
+    return { damage, attackBonus: modifierFor(character, 'dex') + attack, damageBonus: extra };
+  }
+  const str = modifierFor(character, 'str');
+  return { damage, attackBonus: str + attack, damageBonus: str + extra };
+}
+
+// Throw unless a player can reach a target with the attack: on the same
+// map, and next to it in melee or within range and sight with missiles
+function assertCanReach(game, attacker, target, ranged, name) {
+  if (!sameMap(attacker, target)) {
+    throw new Error(`${name} is on another map`);
+  }
+  const weapon = equippedWeapon(attacker.character || {});
+  if (!ranged && !(weapon && weapon.ranged)) {
+    if (!inReach(game, attacker, target)) throw new Error(`${name} is out of reach`);
+    return;
+  }
+  if (offMap(game, attacker) || offMap(game, target)) {
+    throw new Error(`${name} is out of reach`);
+  }
+  if (!attacker.position || !target.position) return;
+  const range = (weapon && weapon.ranged && weapon.range) || THROWN_RANGE;
+  if (distance(attacker.position, target.position) * FEET_PER_SQUARE > range) {
+    throw new Error(`${name} is out of range (${range}')`);
+  }
+  const map = mapOf(game, attacker);
+  if (map && !hasLineOfSight(map, attacker.position, target.position)) {
+    throw new Error(`${name} is out of sight`);
+  }
+}
+
+/**
+ * Record an `attack` event for a resolved attack and return it.
+ * @param {string} gameId
+ * @param {object} actor participant reference
+ * @param {object} target participant reference
+ * @param {{roll: number|null, attackBonus?: number, hit: boolean, damage: number, damageRoll: object|null, save?: object}} outcome
+ * @returns {object} the recorded event
+ */
+function recordAttack(gameId, actor, target, { roll, attackBonus = 0, hit, damage, damageRoll, save }) {
+  const event = {
+    type: 'attack',
+    actor,
+    target,
+    roll,
+    attackBonus,
+    hit,
+    damage,
+    damageRoll,
+  };
+  if (save) event.save = save;
+  return models.recordEvent(gameId, event);
+}
 
 /**
- * Perform an attack from one player to another.
+ * Perform an attack from one player to another.  Pass
+ * `options.ranged` for a missile attack.  Throws if the target is out
+ * of reach.
  * @param {string} gameId
  * @param {string} attackerId
  * @param {string} targetId
+ * @param {{ranged?: boolean}} [options]
  * @returns {object} result summary
  */
-export function attack(gameId, attackerId, targetId) {
+export function attack(gameId, attackerId, targetId, options = {}) {
   const game = models.getGame(gameId);
   if (!game) {
     throw new Error(`Game ${gameId} does not exist`);
@@ -27,34 +131,33 @@ export function attack(gameId, attackerId, targetId) {
   if (!attacker || !target) {
     throw new Error('Attacker or target not found in this game');
   }
-  // Base armour class; in future derive from armour and dexterity
+  assertCanReach(game, attacker, target, options.ranged, target.name);
+  // Armour class, including the target's DEX modifier
   const targetAC = (target.character && target.character.ac) || 10;
-  const attackRoll = rollDie(20);
-  let hit = attackRoll >= targetAC;
+  const { damage: damageDice, attackBonus, damageBonus } = playerAttack(attacker, options.ranged);
+  const attackRoll = rollDie(20, game.rng);
+  let hit = attackRoll + attackBonus >= targetAC;
   let damage = 0;
+  let damageRoll = null;
   if (hit) {
-    // Simplistic damage: roll a d6
-    damage = rollDie(6);
-    // Apply damage to target HP
-    if (!target.character) {
-      target.character = { hp: 0 };
-    }
-    if (typeof target.character.hp !== 'number') {
-      target.character.hp = 0;
-    }
-    target.character.hp -= damage;
-    // If HP drops below zero, mark as incapacitated
-    if (target.character.hp <= 0) {
-      target.character.status = 'unconscious';
-    }
+    // Weapon damage; a hit always does at least 1 damage
+    damageRoll = rollDice(withModifier(damageDice, damageBonus), game.rng);
+    damage = Math.max(1, damageRoll.total);
   }
+  const event = recordAttack(gameId, playerRef(attacker), playerRef(target), { roll: attackRoll, attackBonus, hit, damage, damageRoll });
+  // Falling unconscious or dying follows the attack in the log
+  if (hit) damageCharacter(gameId, target, damage);
+  useAttackConditions(gameId, 'player', attacker);
   return {
     attacker: attacker.name,
     target: target.name,
     roll: attackRoll,
+    attackBonus,
     hit,
     damage,
+    damageRoll,
     targetRemainingHp: target.character ? target.character.hp : null,
+    event,
   };
 }
 
@@ -63,15 +166,18 @@ export function attack(gameId, attackerId, targetId) {
  * `attack`, but targets a monster instance rather than another
  * player.  The returned summary includes the attacker name, the
  * monster type, the roll, whether it hit and the damage dealt.  If
- * the monster's hit points drop to zero or below, it is removed from
- * the game state.
+ * the monster's hit points drop to zero or below, it dies, leaving its
+ * corpse in the game state, and the party is rewarded (`reward`, see
+ * `monsterSlain`).  Pass `options.ranged` for a missile attack.  Throws
+ * if the monster is out of reach.
  *
  * @param {string} gameId
  * @param {string} attackerId
  * @param {string} monsterInstanceId
+ * @param {{ranged?: boolean}} [options]
  * @returns {object} result summary
  */
-export function attackMonster(gameId, attackerId, monsterInstanceId) {
+export function attackMonster(gameId, attackerId, monsterInstanceId, options = {}) {
   const game = models.getGame(gameId);
   if (!game) {
     throw new Error(`Game ${gameId} does not exist`);
@@ -84,35 +190,50 @@ export function attackMonster(gameId, attackerId, monsterInstanceId) {
   if (!monster) {
     throw new Error('Target monster not found in this game');
   }
-  const targetAC = monster.ac || 10;
-  const attackRoll = rollDie(20);
-  let hit = attackRoll >= targetAC;
+  if (monster.status === 'dead') {
+    throw new Error(`The ${monster.type} is already dead`);
+  }
+  assertCanReach(game, attacker, monster, options.ranged, `The ${monster.type}`);
+  const targetAC = (monster.ac || 10) + conditionModifier(monster, 'ac');
+  const { damage: damageDice, attackBonus, damageBonus } = playerAttack(attacker, options.ranged);
+  const attackRoll = rollDie(20, game.rng);
+  let hit = attackRoll + attackBonus >= targetAC;
   let damage = 0;
+  let damageRoll = null;
   if (hit) {
-    damage = rollDie(6);
+    damageRoll = rollDice(withModifier(damageDice, damageBonus), game.rng);
+    damage = Math.max(1, damageRoll.total);
     monster.hp -= damage;
     if (monster.hp <= 0) {
+      // The corpse stays in the game
       monster.status = 'dead';
-      // Remove dead monster from game
-      game.monsters.delete(monsterInstanceId);
     }
   }
+  const event = recordAttack(gameId, playerRef(attacker), monsterRef(monster), { roll: attackRoll, attackBonus, hit, damage, damageRoll });
+  useAttackConditions(gameId, 'player', attacker);
+  // Experience and treasure for the party
+  const reward = monster.status === 'dead' ? monsterSlain(gameId, monster, attacker) : null;
   return {
     attacker: attacker.name,
     target: monster.type,
     roll: attackRoll,
+    attackBonus,
     hit,
     damage,
+    damageRoll,
     monsterRemainingHp: monster.hp,
     monsterStatus: monster.status,
+    reward,
+    event,
   };
 }
 
 /**
  * Monster attacks a player.  Uses the monster's first attack damage
- * notation to determine damage.  Returns a summary similar to
- * `attack`.  If the player is reduced to zero or fewer hit points,
- * their status is set to 'unconscious'.
+ * notation to determine damage; if that attack declares a `save`, the
+ * player saves against it instead of the monster rolling to hit.
+ * Returns a summary similar to `attack`.  A player reduced to zero or
+ * fewer hit points falls unconscious or dies (see `health.js`).
  *
  * @param {string} gameId
  * @param {string} monsterInstanceId
@@ -134,38 +255,40 @@ export function monsterAttack(gameId, monsterInstanceId, targetPlayerId) {
   // Determine damage from monster's first attack definition if available
   let damageStr = '1d6';
   const rule = monsterRules[monster.type];
-  if (rule && Array.isArray(rule.attacks) && rule.attacks[0] && rule.attacks[0].damage) {
-    damageStr = rule.attacks[0].damage;
+  const attackRule = rule && Array.isArray(rule.attacks) ? rule.attacks[0] : null;
+  if (attackRule && attackRule.damage) {
+    damageStr = attackRule.damage;
+  }
+  const saveRule = attackRule && attackRule.save ? resolveSave(attackRule.save) : null;
+  let attackRoll = null;
+  const attackBonus = conditionModifier(monster, 'attack');
+  let hit;
+  let save = null;
+  if (saveRule) {
+    // The attack always reaches the target, who may save against it
+    save = { ...rollSave(game, 'player', target, saveRule.category), effect: saveRule.effect };
+    hit = true;
+  } else {
+    // Roll to hit vs player's AC
+    const targetAc = (target.character && typeof target.character.ac === 'number') ? target.character.ac : 10;
+    attackRoll = rollDie(20, game.rng);
+    hit = attackRoll + attackBonus >= targetAc;
   }
-  // Roll to hit vs player's AC
-  const targetAc = (target.character && typeof target.character.ac === 'number') ? target.character.ac : 10;
-  const attackRoll = rollDie(20);
-  const hit = attackRoll >= targetAc;
   let damage = 0;
+  let damageRoll = null;
   if (hit) {
-    // Parse damage notation (e.g. "1d6")
-    const match = damageStr.match(/(\d+)d(\d+)(\+(\d+))?/);
-    if (match) {
-      const count = parseInt(match[1], 10);
-      const sides = parseInt(match[2], 10);
-      const bonus = match[4] ? parseInt(match[4], 10) : 0;
-      damage = bonus;
-      for (let i = 0; i < count; i++) {
-        damage += rollDie(sides);
-      }
-    } else {
-      damage = rollDie(6);
-    }
-    if (!target.character) {
-      target.character = { hp: 0 };
-    }
-    if (typeof target.character.hp !== 'number') {
-      target.character.hp = 0;
-    }
-    target.character.hp -= damage;
-    if (target.character.hp <= 0) {
-      target.character.status = 'unconscious';
-    }
+    // Roll the damage expression (e.g. "1d6"); modifiers never take
+    // damage below zero
+    damageRoll = rollDice(withModifier(damageStr, conditionModifier(monster, 'damage')), game.rng);
+    damage = Math.max(0, damageRoll.total);
+    if (save) damage = applySave(damage, saveRule, save);
+  }
+  const event = recordAttack(gameId, monsterRef(monster), playerRef(target), { roll: attackRoll, attackBonus, hit, damage, damageRoll, save });
+  if (hit) damageCharacter(gameId, target, damage);
+  useAttackConditions(gameId, 'monster', monster);
+  // Poison, paralysis and the like take hold unless the target saved
+  if (hit && attackRule && attackRule.effect && !(save && save.success)) {
+    applyCondition(gameId, 'player', target, attackRule.effect, { id: `${monster.type}Attack`, name: `${monster.type} ${attackRule.type || 'attack'}` });
   }
   return {
     attacker: monster.type,
@@ -173,6 +296,9 @@ export function monsterAttack(gameId, monsterInstanceId, targetPlayerId) {
     roll: attackRoll,
     hit,
     damage,
+    damageRoll,
+    save,
     targetRemainingHp: target.character ? target.character.hp : null,
+    event,
   };
 }
\ No newline at end of file
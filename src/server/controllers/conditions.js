@@ -0,0 +1,255 @@
+// Conditions controller
+//
+// Conditions are timed buffs and debuffs (blessed, poisoned,
+// paralysed…) on a character or a monster instance.  They are kept in
+// a `conditions` list on `player.character` or on the monster:
+//
+//   { id, name, source, modifiers, incapacitated, remaining, uses }
+//
+// `modifiers` adjust `attack` rolls, `damage`, armour class (`ac`) and
+// saving throws (`saves`); an `incapacitated` creature cannot act.
+// `remaining` counts rounds (null: until removed) and `uses`, when set,
+// is the number of attacks before the condition is spent.
+//
+// Conditions come from the `effect` blocks of items and spells.  An
+// effect names a condition defined in `rules/conditions.json`
+// (`"condition": "blessed"`) and/or gives modifiers inline
+// (`hitBonus`, `damageBonus`, `acBonus`, `saveBonus`), plus an optional
+// `duration` ("3 rounds", "6 turns"; a turn is 60 rounds) and `uses`.
+// Without a duration the spell's own `duration` applies.  Applying a
+// condition that is already present follows its `stacking` rule:
+// `refresh` restarts it (keeping the longer of the two durations),
+// `stack` adds another copy and `ignore` keeps the existing one.
+//
+// Conditions tick down as game time passes and expire automatically: a
+// round at the start of each encounter round and, outside encounters,
+// the rounds a player's move takes while exploring (see `movement.js`).
+// Resting ends all timed conditions.
+
+import models from '../models/index.js';
+import { conditions as conditionRules } from '../rules/index.js';
+import { playerRef, monsterRef } from './events.js';
+import { deriveStats } from './abilities.js';
+
+// A turn is ten minutes and a round ten seconds
+export const ROUNDS_PER_TURN = 60;
+
+// Inline effect keys and the modifier each one sets
+const INLINE_MODIFIERS = {
+  hitBonus: 'attack',
+  damageBonus: 'damage',
+  acBonus: 'ac',
+  saveBonus: 'saves',
+};
+
+/**
+ * Convert a duration to rounds.  Accepts a number of rounds or text
+ * such as "3 rounds", "6 turns" or "1 hour".  "Instant" is 0 and
+ * "permanent" null; anything else lasts one turn.
+ * @param {number|string} duration
+ * @returns {number|null}
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') return Math.max(0, Math.floor(duration));
+  const text = String(duration || '').trim().toLowerCase();
+  if (text === 'instant') return 0;
+  if (text === 'permanent') return null;
+  const match = text.match(/^(\d+)\s*(round|turn|hour)s?$/);
+  if (!match) return ROUNDS_PER_TURN;
+  const n = parseInt(match[1], 10);
+  if (match[2] === 'round') return n;
+  if (match[2] === 'turn') return n * ROUNDS_PER_TURN;
+  return n * 6 * ROUNDS_PER_TURN;
+}
+
+// The object holding a creature's conditions
+function holderOf(kind, entity) {
+  if (kind !== 'player') return entity;
+  if (!entity.character) entity.character = {};
+  return entity.character;
+}
+
+// Event participant for a creature
+function refOf(kind, entity) {
+  return kind === 'player' ? playerRef(entity) : monsterRef(entity);
+}
+
+/**
+ * Sum of one modifier (`attack`, `damage`, `ac` or `saves`) over a
+ * character's or monster's conditions.
+ * @param {object} holder character or monster instance
+ * @param {string} key
+ * @returns {number}
+ */
+export function conditionModifier(holder, key) {
+  const list = (holder && holder.conditions) || [];
+  return list.reduce((sum, c) => sum + ((c.modifiers && c.modifiers[key]) || 0), 0);
+}
+
+/**
+ * Whether a condition prevents a character or monster from acting.
+ * @param {object} holder character or monster instance
+ * @returns {object|null} the incapacitating condition
+ */
+export function incapacitatingCondition(holder) {
+  const list = (holder && holder.conditions) || [];
+  return list.find((c) => c.incapacitated) || null;
+}
+
+/**
+ * Throw if a player's character is unconscious, dead or incapacitated
+ * by a condition.
+ * @param {object} player
+ */
+export function assertCanAct(player) {
+  const status = player.character && player.character.status;
+  if (status === 'unconscious' || status === 'dead') {
+    throw new Error(`${player.name} is ${status} and cannot act`);
+  }
+  const condition = incapacitatingCondition(player.character);
+  if (condition) {
+    throw new Error(`${player.name} is ${condition.name.toLowerCase()} and cannot act`);
+  }
+}
+
+// Recompute armour class after an AC modifier changes
+function afterChange(kind, holder, condition) {
+  if (kind === 'player' && condition.modifiers && condition.modifiers.ac) {
+    deriveStats(holder);
+  }
+}
+
+/**
+ * Apply the condition described by an item's or spell's `effect` block
+ * to a player or monster.  Records a `conditionApplied` event.  Returns
+ * the condition, or null if the effect is instant or the existing
+ * condition is kept.  Throws for conditions missing from the rules.
+ * @param {string} gameId
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity player or monster instance
+ * @param {object} effect effect block
+ * @param {{id: string, name: string, duration?: string}} source the item or spell
+ * @returns {object|null}
+ */
+export function applyCondition(gameId, kind, entity, effect, source) {
+  let def = {};
+  if (effect.condition) {
+    def = conditionRules[effect.condition];
+    if (!def) {
+      throw new Error(`Unknown condition: ${effect.condition}`);
+    }
+  }
+  const modifiers = { ...(def.modifiers || {}) };
+  for (const [key, modifier] of Object.entries(INLINE_MODIFIERS)) {
+    if (effect[key]) modifiers[modifier] = (modifiers[modifier] || 0) + effect[key];
+  }
+  const remaining = parseDuration(effect.duration || source.duration || def.duration || '1 turn');
+  if (remaining === 0) return null;
+  const condition = {
+    id: effect.condition || source.id,
+    name: def.name || source.name,
+    source: source.name,
+    modifiers,
+    incapacitated: !!def.incapacitated,
+    remaining,
+    uses: effect.uses || null,
+  };
+  const holder = holderOf(kind, entity);
+  if (!Array.isArray(holder.conditions)) holder.conditions = [];
+  const existing = holder.conditions.find((c) => c.id === condition.id);
+  const stacking = def.stacking || 'refresh';
+  let refreshed = false;
+  if (existing && stacking === 'ignore') {
+    return null;
+  }
+  if (existing && stacking === 'refresh') {
+    existing.remaining = existing.remaining === null || remaining === null ? null : Math.max(existing.remaining, remaining);
+    existing.uses = condition.uses;
+    refreshed = true;
+  } else {
+    holder.conditions.push(condition);
+  }
+  afterChange(kind, holder, condition);
+  models.recordEvent(gameId, {
+    type: 'conditionApplied',
+    target: refOf(kind, entity),
+    condition: { id: condition.id, name: condition.name },
+    rounds: refreshed ? existing.remaining : remaining,
+    refreshed,
+  });
+  return refreshed ? existing : condition;
+}
+
+// Remove the conditions matching `predicate` and record their expiry
+function expire(gameId, kind, entity, predicate, reason) {
+  const holder = holderOf(kind, entity);
+  const list = holder.conditions || [];
+  const ended = list.filter(predicate);
+  if (ended.length === 0) return [];
+  holder.conditions = list.filter((c) => !ended.includes(c));
+  for (const condition of ended) {
+    afterChange(kind, holder, condition);
+    models.recordEvent(gameId, {
+      type: 'conditionExpired',
+      target: refOf(kind, entity),
+      condition: { id: condition.id, name: condition.name },
+      reason,
+    });
+  }
+  return ended;
+}
+
+// Every creature in a game with its kind; corpses no longer count
+function creatures(game) {
+  const players = Array.from(game.players.values()).filter((p) => p.character).map((p) => ['player', p]);
+  const monsters = Array.from(game.monsters.values()).filter((m) => m.status !== 'dead').map((m) => ['monster', m]);
+  return players.concat(monsters);
+}
+
+/**
+ * Let rounds pass for every creature in a game: timed conditions count
+ * down and expire when they run out.
+ * @param {string} gameId
+ * @param {number} [rounds]
+ * @returns {object[]} the conditions that expired
+ */
+export function tickConditions(gameId, rounds = 1) {
+  const game = models.getGame(gameId);
+  if (!game) return [];
+  const ended = [];
+  for (const [kind, entity] of creatures(game)) {
+    const holder = holderOf(kind, entity);
+    for (const condition of holder.conditions || []) {
+      if (condition.remaining !== null) condition.remaining -= rounds;
+    }
+    ended.push(...expire(gameId, kind, entity, (c) => c.remaining !== null && c.remaining <= 0, 'expired'));
+  }
+  return ended;
+}
+
+/**
+ * Spend one use of the conditions that modify an attack after a
+ * creature attacks; conditions with no uses left end.
+ * @param {string} gameId
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity
+ */
+export function useAttackConditions(gameId, kind, entity) {
+  const holder = holderOf(kind, entity);
+  for (const condition of holder.conditions || []) {
+    const affectsAttack = condition.modifiers && (condition.modifiers.attack || condition.modifiers.damage);
+    if (condition.uses && affectsAttack) condition.uses -= 1;
+  }
+  expire(gameId, kind, entity, (c) => c.uses !== null && c.uses <= 0, 'used');
+}
+
+/**
+ * End all of a creature's timed conditions, e.g. after a night's rest.
+ * @param {string} gameId
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity
+ * @param {string} [reason]
+ */
+export function endTimedConditions(gameId, kind, entity, reason = 'rest') {
+  expire(gameId, kind, entity, (c) => c.remaining !== null, reason);
+}
@@ -2,14 +2,211 @@
 //
 // This module processes dialogue interactions.  It looks up
 // conversations from the dialogues files, returns dialogue nodes to
-// clients, and awards experience or items based on choices.  See
-// `dialogues/test.json` for a sample structure.
+// clients, and awards experience or items based on choices.  An option
+// may require a skill check (`skillCheck`, see `skills.js`): on a
+// failure the conversation goes to `failNext` instead of `next` and no
+// reward is given.  See `dialogues/test.json` for a sample structure.
+//
+// Conversations are logged: `dialogueStarted` (with the NPC at the
+// party's location who speaks it, if any) and a `dialogueChoice` for
+// every option taken, which quest objectives follow (see `quests.js`).
+//
+// Options are offered only to players who meet their `requires`:
+//
+//   item          an item the character carries
+//   minLevel      the character's lowest level
+//   class         the character's class, or a list of classes
+//   flag          a world flag that must be set, or unset when written
+//                 with a leading `!` ("!gateOpen")
+//   abilityCheck  an ability, or `{ ability, modifier }`, rolled when the
+//                 option is chosen (see `abilities.js`); a failure
+//                 counts like a failed skill check
+//
+// Options are sent as `{ index, text }`, the index being the option's
+// place in the node, and a choice the player is not offered is refused.
+// Besides its `reward`, an option that succeeds applies its `effects` in
+// order:
+//
+//   { "type": "setFlag", "flag": "gateOpen", "value": true }
+//   { "type": "removeItem", "item": "healingPotion" }
+//   { "type": "startEncounter", "monsters": ["goblin", { "type": "orc", "count": 2 }] }
+//   { "type": "startQuest", "quest": "cave-clearing" }
+//   { "type": "advanceQuest", "quest": "cave-clearing", "objective": 1 }
+//   { "type": "travel", "location": "dark-cave" }
+//
+// World flags live in `game.flags` and are known to the server only.
+// Encounter monsters are spawned on the speaker's map.  A quest that has
+// already begun is not started again and one that is not active does
+// not advance; `objective` defaults to the first one not yet met.
+// Travel goes to any location of the campaign (see `campaign.js`).
+// Effects are checked before the choice is made: an option naming an
+// unknown monster, quest or location, or starting an encounter with no
+// character on the speaker's map, is refused with nothing applied.
 
 import { getDialogue } from '../dialogues/index.js';
 import models from '../models/index.js';
+import { items as itemRules, monsters as monsterRules, classKey } from '../rules/index.js';
+import { playerRef } from './events.js';
+import { awardExperience } from './levels.js';
+import { requireSkillCheck } from './skills.js';
+import { abilityCheck } from './abilities.js';
+import { npcWithDialogue, travel } from './campaign.js';
+import { spawnMonster } from './monster.js';
+import { startEncounter, beginFirstTurn } from './encounter.js';
+import { isDown } from './health.js';
+import { sameMap } from './movement.js';
+import { startQuest, advanceQuest } from './quests.js';
+
+const EFFECTS = ['setFlag', 'removeItem', 'startEncounter', 'startQuest', 'advanceQuest', 'travel'];
+
+// Whether a player meets an option's `requires`, apart from the ability
+// check rolled when the option is chosen
+function meetsRequirements(game, player, option) {
+  const requires = option.requires || {};
+  const character = (player && player.character) || null;
+  if (requires.item && !(character && (character.inventory || []).includes(requires.item))) return false;
+  if (requires.minLevel && !(character && (character.level || 1) >= requires.minLevel)) return false;
+  if (requires.class) {
+    const classes = [].concat(requires.class).map(classKey);
+    if (!character || !classes.includes(classKey(character.class))) return false;
+  }
+  if (requires.flag) {
+    const unset = requires.flag.startsWith('!');
+    const flag = unset ? requires.flag.slice(1) : requires.flag;
+    if (Boolean(game.flags && game.flags[flag]) === unset) return false;
+  }
+  return true;
+}
+
+// The options of a node offered to a player, as `{ index, text }`
+function offeredOptions(game, player, node) {
+  return (node.options || [])
+    .map((option, index) => ({ option, index }))
+    .filter(({ option }) => meetsRequirements(game, player, option))
+    .map(({ option, index }) => ({ index, text: option.text }));
+}
+
+// Resolve an option's `abilityCheck` requirement, or null without one
+function requireAbilityCheck(gameId, playerId, requirement, source) {
+  if (!requirement) return null;
+  const { ability, modifier } = typeof requirement === 'string' ? { ability: requirement } : requirement;
+  return abilityCheck(gameId, playerId, ability, { modifier, source }).check;
+}
+
+// The monsters an encounter effect lists, as `{ type, count }`
+function encounterMonsters(effect) {
+  return (effect.monsters || []).map((entry) => (typeof entry === 'string' ? { type: entry, count: 1 } : { count: 1, ...entry }));
+}
+
+// Refuse an option whose effects cannot all be applied, before anything
+// of the choice happens
+function assertEffects(game, player, option) {
+  const quests = (game.campaign && game.campaign.quests) || [];
+  const locations = (game.campaign && game.campaign.maps) || [];
+  for (const effect of option.effects || []) {
+    if (!EFFECTS.includes(effect.type)) {
+      throw new Error(`Unknown dialogue effect: ${effect.type}`);
+    }
+    if (game.encounter && (effect.type === 'startEncounter' || effect.type === 'travel')) {
+      throw new Error('That cannot be done during an encounter');
+    }
+    if (effect.type === 'setFlag' && (typeof effect.flag !== 'string' || !effect.flag)) {
+      throw new Error('A setFlag effect needs a flag');
+    }
+    if (effect.type === 'startEncounter') {
+      const monsters = encounterMonsters(effect);
+      if (monsters.length === 0) {
+        throw new Error('A startEncounter effect needs monsters');
+      }
+      for (const { type, count } of monsters) {
+        if (!monsterRules[type]) {
+          throw new Error(`Unknown monster type: ${type}`);
+        }
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`Invalid count of ${type}: ${count}`);
+        }
+      }
+      const fighters = Array.from(game.players.values())
+        .filter((p) => p.character && !isDown(p.character) && sameMap(p, player));
+      if (fighters.length === 0) {
+        throw new Error('An encounter needs at least one character');
+      }
+    }
+    if (effect.type === 'startQuest' || effect.type === 'advanceQuest') {
+      const quest = quests.find((q) => q.id === effect.quest);
+      if (!quest) {
+        throw new Error(`Quest ${effect.quest} is not part of this campaign`);
+      }
+      if (effect.type === 'advanceQuest' && effect.objective !== undefined && !(quest.objectives || [])[effect.objective]) {
+        throw new Error(`${quest.name} has no objective ${effect.objective}`);
+      }
+    }
+    if (effect.type === 'travel' && !locations.some((l) => l.id === effect.location)) {
+      throw new Error(`Location ${effect.location} is not part of this campaign`);
+    }
+  }
+}
+
+// Spawn an encounter effect's monsters on the speaker's map and roll
+// initiative.  Monsters already spawned are removed again if that fails.
+function beginScriptedEncounter(gameId, game, player, effect) {
+  const spawned = [];
+  try {
+    for (const { type, count } of encounterMonsters(effect)) {
+      for (let i = 0; i < count; i += 1) spawned.push(spawnMonster(gameId, type, undefined, player.mapId));
+    }
+    const encounter = startEncounter(gameId);
+    return { order: encounter.order, ...beginFirstTurn(gameId) };
+  } catch (err) {
+    for (const monster of spawned) game.monsters.delete(monster.instanceId);
+    throw err;
+  }
+}
+
+// Apply an option's effects in order.  Returns the encounter and the
+// location entry they brought about, if any.
+function applyEffects(gameId, player, option) {
+  const game = models.getGame(gameId);
+  const outcome = {};
+  for (const effect of option.effects || []) {
+    switch (effect.type) {
+      case 'setFlag':
+        if (!game.flags) game.flags = {};
+        game.flags[effect.flag] = effect.value === undefined ? true : effect.value;
+        models.saveGame(gameId);
+        break;
+      case 'removeItem': {
+        if (!models.removeItemFromPlayer(gameId, player.id, effect.item)) break;
+        const name = itemRules[effect.item] ? itemRules[effect.item].name : effect.item;
+        models.recordEvent(gameId, { type: 'itemLost', actor: playerRef(player), item: { id: effect.item, name } });
+        break;
+      }
+      case 'startEncounter':
+        outcome.encounter = beginScriptedEncounter(gameId, game, player, effect);
+        break;
+      case 'startQuest':
+        if (!(game.quests && game.quests[effect.quest])) startQuest(gameId, effect.quest);
+        break;
+      case 'advanceQuest': {
+        const state = game.quests && game.quests[effect.quest];
+        if (state && state.status === 'active') advanceQuest(gameId, effect.quest, effect.objective, player.id);
+        break;
+      }
+      case 'travel':
+        if (!game.scene || game.scene.location !== effect.location) {
+          outcome.travel = travel(gameId, effect.location, { anywhere: true });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  return outcome;
+}
 
 /**
- * Start a dialogue by returning the first node of a conversation.
+ * Start a dialogue by returning the first node of a conversation with
+ * the options offered to the player.
  * @param {string} gameId
  * @param {string} playerId
  * @param {string} dialogueId – the id of the dialogue file
@@ -30,25 +227,42 @@ export function startDialogue(gameId, playerId, dialogueId, conversationId) {
   if (!node) {
     throw new Error(`Start node ${startNodeId} not found in dialogue ${conversationId}`);
   }
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const player = models.getPlayer(gameId, playerId);
+  const npc = npcWithDialogue(game, conversationId);
+  models.recordEvent(gameId, {
+    type: 'dialogueStarted',
+    actor: playerRef(player),
+    dialogue: { id: conversationId, name: conv.name || conversationId },
+    ...(npc ? { npc } : {}),
+  });
   return {
     dialogueId,
     conversationId,
     nodeId: startNodeId,
     text: node.text,
-    options: (node.options || []).map((opt) => opt.text),
+    options: offeredOptions(game, player, node),
   };
 }
 
 /**
- * Process a player's choice within a dialogue.  Awards any rewards and
- * returns the next node or indicates the conversation has ended.
+ * Process a player's choice within a dialogue.  Refuses options the
+ * player is not offered, rolls any skill or ability check the option
+ * requires, awards any rewards, applies its effects and returns the
+ * next node or indicates the conversation has ended.  The checks, if
+ * any, are returned as `skillCheck` and `abilityCheck`; an encounter the
+ * option started as `encounter` and a location it took the party to as
+ * `travel`.
  * @param {string} gameId
  * @param {string} playerId
  * @param {string} dialogueId
  * @param {string} conversationId
  * @param {string} nodeId – current node id
- * @param {number} optionIndex – index in options array
- * @returns {object} { end?: boolean, dialogueId, conversationId, nodeId, text, options }
+ * @param {number} optionIndex – index in the node's options array
+ * @returns {object} { end?: boolean, dialogueId, conversationId, nodeId, text, options, skillCheck?, abilityCheck?, encounter?, travel? }
  */
 export function chooseDialogueOption(gameId, playerId, dialogueId, conversationId, nodeId, optionIndex) {
   const file = getDialogue(dialogueId);
@@ -68,32 +282,61 @@ export function chooseDialogueOption(gameId, playerId, dialogueId, conversationI
   if (!option) {
     throw new Error(`Option index ${optionIndex} is invalid for node ${nodeId}`);
   }
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const player = models.getPlayer(gameId, playerId);
+  if (!meetsRequirements(game, player, option)) {
+    throw new Error('That option is not available');
+  }
+  assertEffects(game, player, option);
+  const check = requireSkillCheck(gameId, playerId, option.skillCheck, option.text);
+  // The ability check is only rolled once the skill check succeeds
+  const requires = option.requires || {};
+  const ability = !check || check.success ? requireAbilityCheck(gameId, playerId, requires.abilityCheck, option.text) : null;
+  const passed = (!check || check.success) && (!ability || ability.success);
+  const nextId = passed ? option.next : option.failNext;
+  const ended = !nextId || !conv.nodes[nextId];
+  const actor = playerRef(player);
+  models.recordEvent(gameId, {
+    type: 'dialogueChoice',
+    actor,
+    dialogue: { id: conversationId, name: conv.name || conversationId },
+    node: nodeId,
+    option: option.text,
+    next: ended ? null : nextId,
+    // The conversation is over once there is nothing left to answer
+    end: ended || offeredOptions(game, player, conv.nodes[nextId]).length === 0,
+  });
   // Award rewards if present
-  if (option.reward) {
+  if (option.reward && passed) {
     const { xp, items } = option.reward;
-    if (xp) {
-      models.addExperience(gameId, playerId, xp);
-      models.appendLog(gameId, `${models.getPlayer(gameId, playerId).name} gained ${xp} XP.`);
+    // Experience needs a character to level; without one it is lost
+    if (xp && player.character) {
+      awardExperience(gameId, playerId, xp);
     }
     if (Array.isArray(items)) {
       for (const item of items) {
         models.addItemToPlayer(gameId, playerId, item);
-        models.appendLog(gameId, `${models.getPlayer(gameId, playerId).name} received item ${item}.`);
+        const name = itemRules[item] ? itemRules[item].name : item;
+        models.recordEvent(gameId, { type: 'itemGained', actor, item: { id: item, name } });
       }
     }
   }
-  // Determine next node
-  const nextId = option.next;
-  if (!nextId || !conv.nodes[nextId]) {
+  const outcome = passed ? applyEffects(gameId, player, option) : {};
+  const result = ended
     // Conversation ends
-    return { end: true };
-  }
-  const next = conv.nodes[nextId];
-  return {
-    dialogueId,
-    conversationId,
-    nodeId: nextId,
-    text: next.text,
-    options: (next.options || []).map((opt) => opt.text),
-  };
+    ? { end: true }
+    : {
+      dialogueId,
+      conversationId,
+      nodeId: nextId,
+      text: conv.nodes[nextId].text,
+      // Effects such as flags may change what is offered next
+      options: offeredOptions(game, player, conv.nodes[nextId]),
+    };
+  if (check) result.skillCheck = check;
+  if (ability) result.abilityCheck = ability;
+  return { ...result, ...outcome };
 }
\ No newline at end of file
@@ -0,0 +1,164 @@
+// Dice controller
+//
+// A small dice‑expression engine shared by every controller.  It
+// understands the notation used throughout the rules files and a few
+// extras that players like to type:
+//
+//   1d8, d20, 2d6+1d4-1   – sums of dice and constant modifiers
+//   4d6kh3, 2d20kl1        – keep the highest/lowest N dice
+//   1d20adv, 1d20dis       – advantage/disadvantage (roll twice, keep one)
+//   d%                     – percentile die (d100)
+//
+// `rollDice` returns a structured breakdown of every die rolled so the
+// log can show "rolled 3+5+1 = 9" rather than a bare total.
+//
+// Both `rollDie` and `rollDice` take the game's RNG (`game.rng`) as
+// their last argument so that every roll in a game is reproducible from
+// its seed.  Without an RNG they fall back to Math.random().
+
+import { nextFloat } from '../models/rng.js';
+
+// Upper bounds that keep expressions sent by clients from running away
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+const TERM_PATTERN = /^(\d*)d(\d+|%)(kh\d+|kl\d+|k\d+|adv|dis)?$|^(\d+)$/;
+
+// Roll a single die with a given number of sides (default d20) using
+// the game's RNG if one is given
+export function rollDie(sides = 20, rng = null) {
+  const r = rng ? nextFloat(rng) : Math.random();
+  const n = Math.floor(r * sides) + 1;
+  return n;
+}
+
+/**
+ * Parse a dice expression into its terms.  Throws if the expression is
+ * not valid.  Each term is either `{ sign, count, sides, keep }` for
+ * dice or `{ sign, value }` for a constant modifier.
+ *
+ * @param {string} expression e.g. "2d6+1d4-1"
+ * @returns {Array<object>}
+ */
+export function parseDice(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error(`Invalid dice expression: ${expression}`);
+  }
+  const source = expression.replace(/\s+/g, '').toLowerCase();
+  // Split into signed chunks: "2d6+1d4-1" → ["2d6", "+1d4", "-1"]
+  const chunks = source.match(/[+-]?[^+-]+/g);
+  if (!chunks || chunks.join('') !== source) {
+    throw new Error(`Invalid dice expression: ${expression}`);
+  }
+  return chunks.map((chunk) => {
+    const sign = chunk[0] === '-' ? -1 : 1;
+    const body = chunk.replace(/^[+-]/, '');
+    const match = body.match(TERM_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid dice expression: ${expression}`);
+    }
+    if (match[4] !== undefined) {
+      return { sign, value: parseInt(match[4], 10) };
+    }
+    let count = match[1] ? parseInt(match[1], 10) : 1;
+    const sides = match[2] === '%' ? 100 : parseInt(match[2], 10);
+    let keep = null;
+    const suffix = match[3];
+    if (suffix === 'adv' || suffix === 'dis') {
+      if (count !== 1) {
+        throw new Error(`Advantage and disadvantage apply to a single die: ${expression}`);
+      }
+      count = 2;
+      keep = { highest: suffix === 'adv', n: 1 };
+    } else if (suffix) {
+      const n = parseInt(suffix.replace(/^k[hl]?/, ''), 10);
+      keep = { highest: !suffix.startsWith('kl'), n };
+    }
+    if (count < 1 || count > MAX_DICE || sides < 1 || sides > MAX_SIDES) {
+      throw new Error(`Dice expression out of range: ${expression}`);
+    }
+    if (keep && (keep.n < 1 || keep.n > count)) {
+      throw new Error(`Cannot keep ${keep.n} of ${count} dice: ${expression}`);
+    }
+    return { sign, count, sides, keep, notation: body };
+  });
+}
+
+/**
+ * Append a constant modifier to a dice expression, e.g. ("1d6", 2) →
+ * "1d6+2".  A zero modifier leaves the expression unchanged.
+ * @param {string} expression
+ * @param {number} modifier
+ * @returns {string}
+ */
+export function withModifier(expression, modifier) {
+  if (!modifier) return expression;
+  return `${expression}${modifier > 0 ? '+' : '-'}${Math.abs(modifier)}`;
+}
+
+/**
+ * Roll a dice expression.  Returns the total together with a breakdown
+ * of every term: the individual dice (with a `kept` flag for
+ * keep‑highest/lowest rolls) and constant modifiers.
+ *
+ * @param {string} expression
+ * @param {object} [rng] the game's RNG (`game.rng`)
+ * @returns {{expression: string, total: number, terms: Array<object>, text: string}}
+ */
+export function rollDice(expression, rng = null) {
+  const terms = parseDice(expression).map((term) => {
+    if (term.value !== undefined) {
+      return { sign: term.sign, value: term.value, subtotal: term.sign * term.value };
+    }
+    const dice = [];
+    for (let i = 0; i < term.count; i++) {
+      dice.push({ sides: term.sides, value: rollDie(term.sides, rng), kept: true });
+    }
+    if (term.keep) {
+      // Drop the dice that are not among the N highest (or lowest)
+      const ranked = dice
+        .map((die, index) => ({ die, index }))
+        .sort((a, b) => (term.keep.highest ? b.die.value - a.die.value : a.die.value - b.die.value) || a.index - b.index);
+      ranked.slice(term.keep.n).forEach(({ die }) => {
+        die.kept = false;
+      });
+    }
+    const sum = dice.filter((d) => d.kept).reduce((acc, d) => acc + d.value, 0);
+    return { sign: term.sign, notation: term.notation, dice, subtotal: term.sign * sum };
+  });
+  const total = terms.reduce((acc, t) => acc + t.subtotal, 0);
+  const result = { expression, total, terms };
+  result.text = formatRoll(result);
+  return result;
+}
+
+/**
+ * Render a roll breakdown as text, e.g. "3+5+1 = 9" or, with dropped
+ * dice, "6+4+3 (dropped 1) = 13".
+ *
+ * @param {{total: number, terms: Array<object>}} roll result of `rollDice`
+ * @returns {string}
+ */
+export function formatRoll(roll) {
+  let text = '';
+  const dropped = [];
+  roll.terms.forEach((term, index) => {
+    const values = term.dice
+      ? term.dice.filter((d) => d.kept).map((d) => d.value)
+      : [term.value];
+    if (term.dice) {
+      dropped.push(...term.dice.filter((d) => !d.kept).map((d) => d.value));
+    }
+    const joiner = term.sign < 0 ? '-' : '+';
+    const part = values.join(joiner);
+    if (index === 0) {
+      text += term.sign < 0 ? `-${part}` : part;
+    } else {
+      text += `${joiner}${part}`;
+    }
+  });
+  if (dropped.length > 0) {
+    text += ` (dropped ${dropped.join(', ')})`;
+  }
+  return `${text} = ${roll.total}`;
+}
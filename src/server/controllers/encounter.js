@@ -0,0 +1,243 @@
+// Encounter controller
+//
+// Encounters turn free‑form fighting into proper combat rounds.  When an
+// encounter starts every player with a character and every living
+// monster instance rolls initiative.  The combatants are sorted into a
+// turn queue and only the combatant whose turn it is may attack or cast
+// a spell.  Monsters act automatically when their turn comes up.  The
+// encounter is stored on the game object (`game.encounter`) so it is
+// included in the broadcast game state.  Each new round counts down
+// timed conditions (see `conditions.js`) and dying characters lose blood
+// (see `health.js`); combatants incapacitated by a condition lose their
+// turns.  What a monster does on its turn is up to the monster AI (see
+// `ai.js`).  `encounter.moved` counts the squares the current combatant
+// has moved this turn (see `movement.js`).
+
+import models from '../models/index.js';
+import { rollDie } from './dice.js';
+import { takeMonsterTurn } from './ai.js';
+import { incapacitatingCondition, tickConditions } from './conditions.js';
+import { bleed, isDown } from './health.js';
+import { sameMap } from './movement.js';
+
+/**
+ * Return true if the combatant can still act in the encounter.  Players
+ * must have a conscious, living character and monsters must still be
+ * alive in the game.
+ * @param {object} game
+ * @param {object} entry initiative entry
+ * @returns {boolean}
+ */
+function canAct(game, entry) {
+  if (entry.kind === 'monster') {
+    const monster = game.monsters.get(entry.id);
+    return !!monster && monster.status !== 'dead';
+  }
+  const player = game.players.get(entry.id);
+  if (!player || !player.character) return false;
+  return !isDown(player.character);
+}
+
+/**
+ * Return true if a combatant is held by a condition (e.g. paralysed)
+ * and loses their turn.
+ * @param {object} game
+ * @param {object} entry initiative entry
+ * @returns {boolean}
+ */
+function isHeld(game, entry) {
+  if (entry.kind === 'monster') {
+    return !!incapacitatingCondition(game.monsters.get(entry.id));
+  }
+  const player = game.players.get(entry.id);
+  return !!(player && incapacitatingCondition(player.character));
+}
+
+/**
+ * Determine whether the encounter is over.  An encounter ends when one
+ * side has no combatants left that can act.  A party that is entirely
+ * held by conditions is defeated.
+ * @param {object} game
+ * @returns {string|null} 'victory' or 'defeat' if over, otherwise null
+ */
+function outcome(game) {
+  const { order } = game.encounter;
+  const playersLeft = order.some((e) => e.kind === 'player' && canAct(game, e) && !isHeld(game, e));
+  const monstersLeft = order.some((e) => e.kind === 'monster' && canAct(game, e));
+  if (!playersLeft) return 'defeat';
+  if (!monstersLeft) return 'victory';
+  return null;
+}
+
+/**
+ * Produce a summary of the current turn suitable for sending to
+ * clients.
+ * @param {object} encounter
+ * @returns {{round: number, combatantId: string, kind: string, name: string}}
+ */
+function currentTurn(encounter) {
+  const entry = encounter.order[encounter.turnIndex];
+  return {
+    round: encounter.round,
+    combatantId: entry.id,
+    kind: entry.kind,
+    name: entry.name,
+  };
+}
+
+/**
+ * Resolve a monster's turn with the monster AI.  Morale checks, fleeing
+ * and attacks are written to the log.
+ * @param {string} gameId
+ * @param {object} entry initiative entry of the monster
+ * @returns {string[]} log messages
+ */
+function runMonsterTurn(gameId, entry) {
+  return takeMonsterTurn(gameId, entry.id).messages;
+}
+
+/**
+ * Start an encounter in the given game.  Rolls initiative (d20) for each
+ * player with a character and each living monster on the same map as
+ * one of them, highest first.
+ * Throws if an encounter is already running or either side is empty.
+ * @param {string} gameId
+ * @returns {object} the encounter
+ */
+export function startEncounter(gameId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  if (game.encounter) {
+    throw new Error('An encounter is already in progress');
+  }
+  const order = [];
+  for (const player of game.players.values()) {
+    if (!player.character || isDown(player.character)) continue;
+    order.push({ id: player.id, kind: 'player', name: player.name, initiative: rollDie(20, game.rng) });
+  }
+  // Monsters join only on a map where characters are fighting
+  const players = order.map((e) => game.players.get(e.id));
+  for (const monster of game.monsters.values()) {
+    if (monster.status === 'dead' || !players.some((p) => sameMap(p, monster))) continue;
+    order.push({ id: monster.instanceId, kind: 'monster', name: monster.type, initiative: rollDie(20, game.rng) });
+  }
+  if (!order.some((e) => e.kind === 'player') || !order.some((e) => e.kind === 'monster')) {
+    throw new Error('An encounter needs at least one character and one monster');
+  }
+  // Highest initiative acts first; players win ties against monsters
+  order.sort((a, b) => b.initiative - a.initiative || (a.kind === b.kind ? 0 : a.kind === 'player' ? -1 : 1));
+  game.encounter = { round: 1, turnIndex: 0, order, moved: 0 };
+  models.recordEvent(gameId, {
+    type: 'encounterStarted',
+    order: order.map(({ id, kind, name, initiative }) => ({ id, kind, name, initiative })),
+  });
+  return game.encounter;
+}
+
+/**
+ * Return the active encounter of a game or null.
+ * @param {string} gameId
+ * @returns {object|null}
+ */
+export function getEncounter(gameId) {
+  const game = models.getGame(gameId);
+  return (game && game.encounter) || null;
+}
+
+/**
+ * Throw unless it is the given combatant's turn.  Does nothing when no
+ * encounter is running, so actions outside combat remain unrestricted.
+ * @param {string} gameId
+ * @param {string} combatantId player id or monster instance id
+ */
+export function assertTurn(gameId, combatantId) {
+  const encounter = getEncounter(gameId);
+  if (!encounter) return;
+  const entry = encounter.order[encounter.turnIndex];
+  if (entry.id !== combatantId) {
+    throw new Error(`It is not your turn; waiting for ${entry.name}`);
+  }
+}
+
+/**
+ * End an encounter and log the outcome.  If no character is left
+ * standing, the dying bleed to death (see `health.js`).
+ * @param {string} gameId
+ * @param {string} [reason]
+ * @returns {{rounds: number, reason: string}|null} summary or null if no encounter was running
+ */
+export function endEncounter(gameId, reason = 'ended') {
+  const game = models.getGame(gameId);
+  if (!game || !game.encounter) return null;
+  const rounds = game.encounter.round;
+  game.encounter = null;
+  models.recordEvent(gameId, { type: 'encounterEnded', rounds, reason });
+  // With nobody left standing to stabilise them the dying bleed out
+  const characters = Array.from(game.players.values()).filter((p) => p.character);
+  if (characters.length > 0 && characters.every((p) => isDown(p.character))) bleed(gameId, Infinity);
+  return { rounds, reason };
+}
+
+/**
+ * Advance to the next combatant.  Combatants that can no longer act are
+ * skipped and the round counter increases when the queue wraps.  Monster
+ * turns are resolved immediately, so this returns once it is a player's
+ * turn again or the encounter is over.
+ * @param {string} gameId
+ * @returns {{turn: object|null, ended: object|null, monsterActions: string[]}}
+ */
+export function advanceTurn(gameId) {
+  const game = models.getGame(gameId);
+  if (!game || !game.encounter) {
+    throw new Error('No encounter in progress');
+  }
+  const encounter = game.encounter;
+  const monsterActions = [];
+  for (;;) {
+    const result = outcome(game);
+    if (result) {
+      return { turn: null, ended: endEncounter(gameId, result), monsterActions };
+    }
+    encounter.turnIndex += 1;
+    // Squares moved so far by the combatant whose turn it is
+    encounter.moved = 0;
+    if (encounter.turnIndex >= encounter.order.length) {
+      encounter.turnIndex = 0;
+      encounter.round += 1;
+      tickConditions(gameId, 1);
+      bleed(gameId);
+    }
+    const entry = encounter.order[encounter.turnIndex];
+    if (!canAct(game, entry) || isHeld(game, entry)) continue;
+    if (entry.kind === 'player') {
+      return { turn: currentTurn(encounter), ended: null, monsterActions };
+    }
+    monsterActions.push(...runMonsterTurn(gameId, entry));
+  }
+}
+
+/**
+ * Resolve any monster turns at the head of the queue.  Call this right
+ * after `startEncounter` so that fast monsters act before the first
+ * player is prompted.
+ * @param {string} gameId
+ * @returns {{turn: object|null, ended: object|null, monsterActions: string[]}}
+ */
+export function beginFirstTurn(gameId) {
+  const game = models.getGame(gameId);
+  if (!game || !game.encounter) {
+    throw new Error('No encounter in progress');
+  }
+  const entry = game.encounter.order[game.encounter.turnIndex];
+  if (entry.kind === 'player' && !isHeld(game, entry)) {
+    return { turn: currentTurn(game.encounter), ended: null, monsterActions: [] };
+  }
+  const monsterActions = [];
+  if (entry.kind === 'monster' && !isHeld(game, entry)) {
+    monsterActions.push(...runMonsterTurn(gameId, entry));
+  }
+  const next = advanceTurn(gameId);
+  return { ...next, monsterActions: monsterActions.concat(next.monsterActions) };
+}
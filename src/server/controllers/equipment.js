@@ -0,0 +1,167 @@
+// Equipment controller
+//
+// Characters wear and wield items in body slots.  `character.equipment`
+// maps each slot to the id of the item in it:
+//
+//   mainHand, offHand   – weapons and shields
+//   armour, head, neck  – armour, helmets, amulets
+//   leftRing, rightRing – rings
+//
+// An item's `slot` in `rules/items.json` names the slot it goes in;
+// `ring` fits either ring slot.  Items without a `slot` default to
+// `mainHand` for weapons and `armour` for armour.  A `twoHanded` weapon
+// also occupies the off hand.  Equipping moves the item out of the
+// inventory and unequipping moves it back, so gear is never consumed
+// and its bonuses never stack.  Armour class is derived from equipped
+// gear (`effect.acBonus`, see `abilities.js`) and attacks use the
+// weapon in the main hand (see `combat.js`).
+
+import models from '../models/index.js';
+import { items as itemRules } from '../rules/index.js';
+import { describeEvent, playerRef } from './events.js';
+import { deriveStats } from './abilities.js';
+import { assertCanAct } from './conditions.js';
+
+export const SLOTS = ['mainHand', 'offHand', 'armour', 'head', 'neck', 'leftRing', 'rightRing'];
+
+// Item `slot` values that fit more than one body slot
+const SLOT_GROUPS = {
+  ring: ['leftRing', 'rightRing'],
+};
+
+/**
+ * Whether an item can be equipped.
+ * @param {object} item item rules
+ * @returns {boolean}
+ */
+export function isEquippable(item) {
+  return slotsFor(item).length > 0;
+}
+
+/**
+ * Body slots an item may go in, in order of preference.
+ * @param {object} item item rules
+ * @returns {string[]}
+ */
+function slotsFor(item) {
+  if (!item) return [];
+  let slot = item.slot;
+  if (!slot && item.type === 'weapon') slot = 'mainHand';
+  if (!slot && (item.type === 'armor' || item.type === 'armour')) slot = 'armour';
+  if (!slot) return [];
+  if (SLOT_GROUPS[slot]) return SLOT_GROUPS[slot];
+  return SLOTS.includes(slot) ? [slot] : [];
+}
+
+/**
+ * The weapon in a character's main hand, or null when unarmed.
+ * @param {object} character
+ * @returns {object|null} item rules of the weapon
+ */
+export function equippedWeapon(character) {
+  const id = character && character.equipment && character.equipment.mainHand;
+  const item = id ? itemRules[id] : null;
+  return item && item.type === 'weapon' ? item : null;
+}
+
+// Find the player and character or throw; the character must be able
+// to act
+function characterOf(gameId, playerId) {
+  const player = models.getPlayer(gameId, playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  assertCanAct(player);
+  const character = player.character;
+  if (!character.equipment) character.equipment = {};
+  if (!Array.isArray(character.inventory)) character.inventory = [];
+  return { player, character };
+}
+
+// Move the item in a slot back into the inventory.  Returns its id.
+function clearSlot(character, slot) {
+  const itemId = character.equipment[slot];
+  if (!itemId) return null;
+  delete character.equipment[slot];
+  character.inventory.push(itemId);
+  return itemId;
+}
+
+/**
+ * Equip an item from the player's inventory.  `slot` picks one of the
+ * slots the item fits (e.g. which ring finger); by default the first
+ * free one is used, or the first if all are taken.  Whatever was in the
+ * slot (and, for two‑handed weapons, the off hand) returns to the
+ * inventory.  Records an `itemEquipped` event.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} itemId
+ * @param {string} [slot]
+ * @returns {{message: string, character: object, event: object}}
+ */
+export function equipItem(gameId, playerId, itemId, slot) {
+  const item = itemRules[itemId];
+  if (!item) {
+    throw new Error(`Unknown item: ${itemId}`);
+  }
+  const slots = slotsFor(item);
+  if (slots.length === 0) {
+    throw new Error(`${item.name} cannot be equipped`);
+  }
+  if (slot && !slots.includes(slot)) {
+    throw new Error(`${item.name} cannot be equipped in ${slot}`);
+  }
+  const { player, character } = characterOf(gameId, playerId);
+  const index = character.inventory.indexOf(itemId);
+  if (index === -1) {
+    throw new Error('Item not in inventory');
+  }
+  const target = slot || slots.find((s) => !character.equipment[s]) || slots[0];
+  character.inventory.splice(index, 1);
+  clearSlot(character, target);
+  if (item.twoHanded) {
+    clearSlot(character, 'offHand');
+  }
+  // A two‑handed weapon leaves no hand free for the off‑hand item
+  if (target === 'offHand') {
+    const main = character.equipment.mainHand && itemRules[character.equipment.mainHand];
+    if (main && main.twoHanded) clearSlot(character, 'mainHand');
+  }
+  character.equipment[target] = itemId;
+  deriveStats(character);
+  const event = models.recordEvent(gameId, {
+    type: 'itemEquipped',
+    actor: playerRef(player),
+    item: { id: itemId, name: item.name },
+    slot: target,
+  });
+  return { message: describeEvent(event), character, event };
+}
+
+/**
+ * Take off the item in a slot and return it to the inventory.  Records
+ * an `itemUnequipped` event.  Throws if the slot is empty.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} slot
+ * @returns {{message: string, character: object, event: object}}
+ */
+export function unequipItem(gameId, playerId, slot) {
+  if (!SLOTS.includes(slot)) {
+    throw new Error(`Unknown equipment slot: ${slot}`);
+  }
+  const { player, character } = characterOf(gameId, playerId);
+  const itemId = clearSlot(character, slot);
+  if (!itemId) {
+    throw new Error(`Nothing is equipped in ${slot}`);
+  }
+  deriveStats(character);
+  const item = itemRules[itemId];
+  const event = models.recordEvent(gameId, {
+    type: 'itemUnequipped',
+    actor: playerRef(player),
+    item: { id: itemId, name: item ? item.name : itemId },
+    slot,
+  });
+  return { message: describeEvent(event), character, event };
+}
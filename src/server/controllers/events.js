@@ -0,0 +1,357 @@
+// Event controller
+//
+// The game log is a list of structured events recorded with
+// `models.recordEvent`.  Events are the source of truth: each one has a
+// `type`, an `id`, a timestamp (`ts`) and type‑specific fields, and the
+// human‑readable log line is rendered from it by `describeEvent`.
+//
+// Participants (the `actor` and `target` of an event) are stored as
+// `{ kind: 'player'|'monster', id, name }` so that clients can filter
+// by player or monster instance.  Monster `move`, `displaced` and
+// `monsterSpawned` events also carry `seenBy`, the ids of the players
+// who saw them happen (see `vision.js`).
+//
+// Event types:
+//   message          { text }                       free‑form narration
+//   join             { actor }
+//   characterCreated { actor, character: { name, race, class, hp } }
+//   campaignSelected { campaign: { id, name } }
+//   mapSelected      { map: { id, name } }
+//   dialogueStarted  { actor, dialogue: { id, name }, npc?: { id, name } }
+//   dialogueChoice   { actor, dialogue: { id, name }, node, option, next, end }
+//                    (next is null and end true when the choice ends
+//                    the conversation; end is also true when the next
+//                    node offers no options)
+//   questStarted     { quest: { id, name } }
+//   questProgress    { quest: { id, name }, objective, progress, count }
+//   questCompleted   { quest: { id, name }, reward: { xp, items } }
+//   locationEntered  { location: { id, name }, first, monsters }
+//                    (first on the first visit, when the location's
+//                    monsters are spawned)
+//   move             { actor, from: { x, y }, to: { x, y }, squares, path }
+//                    (squares is the movement spent; path lists the
+//                    squares walked through, from and to included)
+//   mapChanged       { actors, from: { id, name }, to: { id, name }, party }
+//                    (players who went through an exit to another map)
+//   displaced        { actor, from: { x, y }, to: { x, y } | null }
+//                    (moved off a square a map edit made unusable; to
+//                    is null when no free square was left)
+//   trapSprung       { actor, trap: { name, x, y }, damage, roll }
+//   trapDisarmed     { actor, trap: { name, x, y } }
+//   roll             { actor, expression, roll }
+//   attack           { actor, target, roll, attackBonus, hit, damage, damageRoll, save? }
+//   spell            { actor, target, spell, hit?, roll?, attackBonus?, damage?, damageRoll?, heal?, healRoll?, save?, effect? }
+//                    (effect 'condition' when a conditionApplied event follows,
+//                    'resurrect' when a characterRevived event follows)
+//   spellsPrepared   { actor, spells: [name] }
+//   rested           { actor }  (spell slots restored)
+//   itemGained       { actor, item: { id, name } }
+//   itemLost         { actor, item: { id, name } }  (given up in a dialogue)
+//   itemUsed         { actor, item: { id, name }, effect ('heal' | 'condition' | null), amount?, roll? }
+//                    (effect 'acBonus' only in games from before gear
+//                    was equipped)
+//   itemEquipped     { actor, item: { id, name }, slot }
+//   itemUnequipped   { actor, item: { id, name }, slot }
+//   xp               { actor, amount, total }
+//   levelUp          { actor, level, hpGained, hpRoll, conModifier,
+//                      spellSlots?, thiefSkills?, savingThrows? }
+//                    (the last three only when they changed)
+//   monsterSpawned   { monster }
+//   morale           { actor, trigger, roll, morale, success }
+//                    (roll null for monsters that never break)
+//   monsterFled      { actor }
+//   characterFell    { actor, hp }                  fell unconscious and is dying
+//   characterBleeding { actor, hp }
+//   characterStabilised { actor, target }
+//   characterRecovered { actor, hp }                healed above 0 HP
+//   characterDied    { actor }
+//   characterRevived { actor, hp }
+//   skillCheck       { actor, skill, roll, chance, modifier, success, source? }
+//                    (roll and chance null when the character lacks the skill)
+//   abilityCheck     { actor, ability, roll, score, modifier, success, source? }
+//   abilityScoresChanged { actor, scores }  (only the scores that were set)
+//   monsterSlain     { actor, target, xp, share, party }
+//   treasureFound    { source, coins: { cp, sp, ep, gp, pp }, items: [{ id, name }] }
+//   lootTaken        { actor, item: { id, name } }
+//   lootDivided      { party, share: { cp, sp, ep, gp, pp } }
+//   encounterStarted { order }
+//   encounterEnded   { rounds, reason }
+//   turnEnded        { actor }
+//   save             { actor, category, roll, modifier, needed, success }
+//   reaction         { actor, target, roll, result }
+//   conditionApplied { target, condition: { id, name }, rounds, refreshed }
+//   conditionExpired { target, condition: { id, name }, reason ('expired' | 'used' | 'rest') }
+//
+// Spells and attacks that allow a saving throw carry it in `save` as
+// { category, roll, modifier, needed, success, effect }; their `roll` is
+// then null because the target's save replaces the roll to hit.
+
+import { savingThrows as saveRules } from '../rules/index.js';
+
+/**
+ * Build an event participant from a player.
+ * @param {object} player
+ * @returns {{kind: string, id: string, name: string}}
+ */
+export function playerRef(player) {
+  return { kind: 'player', id: player.id, name: player.name };
+}
+
+/**
+ * Build an event participant from a monster instance.
+ * @param {object} monster
+ * @returns {{kind: string, id: string, name: string}}
+ */
+export function monsterRef(monster) {
+  return { kind: 'monster', id: monster.instanceId, name: monster.type };
+}
+
+// Name a participant inside a sentence: monsters get an article
+function nameOf(ref) {
+  if (!ref) return 'someone';
+  return ref.kind === 'monster' ? `the ${ref.name}` : ref.name;
+}
+
+// Capitalise the first letter of a rendered sentence
+function sentence(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Human‑readable saving throw category, e.g. "death ray or poison"
+function saveLabel(category) {
+  const def = (saveRules.categories || {})[category];
+  return def && def.label ? def.label : category;
+}
+
+// Show a save roll as "roll 14 vs 15", including any modifier
+function saveRoll(save) {
+  const modifier = save.modifier ? `${save.modifier > 0 ? '+' : ''}${save.modifier}` : '';
+  return `roll ${save.roll}${modifier} vs ${save.needed}`;
+}
+
+// Show an attack roll with its ability bonus, e.g. "14+2"
+function attackRoll(event) {
+  const bonus = event.attackBonus || 0;
+  if (!bonus) return String(event.roll);
+  return `${event.roll}${bonus > 0 ? '+' : ''}${bonus}`;
+}
+
+// Show a number of rounds, in turns when it divides evenly
+function formatRounds(rounds) {
+  if (rounds >= 60 && rounds % 60 === 0) {
+    const turns = rounds / 60;
+    return `${turns} turn${turns === 1 ? '' : 's'}`;
+  }
+  return `${rounds} round${rounds === 1 ? '' : 's'}`;
+}
+
+// Show a camelCase skill name as words, e.g. "open locks"
+function skillLabel(skill) {
+  return skill.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+// Show coins by denomination, e.g. "30 sp, 10 gp"
+function formatCoins(coins) {
+  return ['cp', 'sp', 'ep', 'gp', 'pp']
+    .filter((coin) => coins && coins[coin])
+    .map((coin) => `${coins[coin]} ${coin}`)
+    .join(', ');
+}
+
+// Render the damage part of a spell or attack the target could save
+// against
+function savedDamage(target, event) {
+  const save = event.save;
+  if (save.success && save.effect === 'negate') {
+    return `${target} saves (${saveRoll(save)}) and is unaffected.`;
+  }
+  if (save.success) {
+    return `${target} saves (${saveRoll(save)}) and takes ${event.damage} damage (${event.damageRoll.text}, halved).`;
+  }
+  return `${target} fails to save (${saveRoll(save)}) and takes ${event.damage} damage (${event.damageRoll.text}).`;
+}
+
+/**
+ * Render an event as a line of text for the game log.
+ * @param {object} event
+ * @returns {string}
+ */
+export function describeEvent(event) {
+  const actor = nameOf(event.actor);
+  const target = nameOf(event.target);
+  switch (event.type) {
+    case 'message':
+      return event.text;
+    case 'join':
+      return `${actor} joined the game.`;
+    case 'characterCreated': {
+      const c = event.character;
+      return `${actor} created a character: ${c.name} (${c.race || 'unknown race'} ${c.class || 'unknown class'}) with ${c.hp || '?'} HP.`;
+    }
+    case 'campaignSelected':
+      return `Campaign '${event.campaign.name}' selected.`;
+    case 'mapSelected':
+      return `The party is now on the map '${event.map.name}'.`;
+    case 'move':
+      return sentence(`${actor} moves to ${event.to.x},${event.to.y} (${event.squares} ${event.squares === 1 ? 'square' : 'squares'}).`);
+    case 'dialogueStarted':
+      return event.npc ? `${actor} talks to ${event.npc.name}.` : `${actor} starts the conversation '${event.dialogue.name}'.`;
+    case 'dialogueChoice':
+      return `${actor} answers: "${event.option}"`;
+    case 'questStarted':
+      return `New quest: ${event.quest.name}.`;
+    case 'questProgress':
+      return `${event.quest.name}: ${event.objective} (${event.progress}/${event.count}).`;
+    case 'questCompleted':
+      return `Quest completed: ${event.quest.name}!`;
+    case 'locationEntered':
+      return `The party ${event.first ? 'arrives at' : 'returns to'} ${event.location.name}.`;
+    case 'displaced':
+      return event.to
+        ? sentence(`${actor} is moved to ${event.to.x},${event.to.y} as the map changes.`)
+        : sentence(`${actor} is taken off the map as it changes.`);
+    case 'trapSprung':
+      return `${actor} springs a ${event.trap.name} and takes ${event.damage} damage (${event.roll.text}).`;
+    case 'trapDisarmed':
+      return `${actor} finds and disarms a ${event.trap.name}.`;
+    case 'mapChanged':
+      return event.party
+        ? `The party travels from '${event.from.name}' to '${event.to.name}'.`
+        : `${event.actors.map(nameOf).join(', ')} ${event.actors.length === 1 ? 'travels' : 'travel'} from '${event.from.name}' to '${event.to.name}'.`;
+    case 'roll':
+      return `${actor} rolled ${event.expression}: ${event.roll.text}.`;
+    case 'attack':
+      if (event.save) {
+        return sentence(`${actor} attacks ${target}; ${savedDamage(target, event)}`);
+      }
+      return sentence(event.hit
+        ? `${actor} hits ${target} for ${event.damage} damage (roll ${attackRoll(event)}; damage ${event.damageRoll.text}).`
+        : `${actor} misses ${target} (roll ${attackRoll(event)}).`);
+    case 'spell':
+      if (event.heal !== undefined) {
+        return `${actor} casts ${event.spell} on ${target}, healing ${event.heal} HP (${event.healRoll.text}).`;
+      }
+      if (event.save && event.damage !== undefined) {
+        return `${actor} casts ${event.spell} at ${target}; ${savedDamage(target, event)}`;
+      }
+      if (event.damage !== undefined) {
+        return event.hit
+          ? `${actor} casts ${event.spell} and hits ${target} for ${event.damage} damage (${event.damageRoll.text}).`
+          : `${actor} casts ${event.spell} but misses ${target}.`;
+      }
+      if (event.effect === 'resurrect') {
+        return `${actor} casts ${event.spell} on the body of ${target}.`;
+      }
+      if (event.effect === 'condition') {
+        return event.target && event.actor && event.target.id === event.actor.id
+          ? `${actor} casts ${event.spell}.`
+          : `${actor} casts ${event.spell} on ${target}.`;
+      }
+      return `${actor} casts ${event.spell}, but nothing happens.`;
+    case 'spellsPrepared':
+      return `${actor} prepares ${event.spells.length > 0 ? event.spells.join(', ') : 'no spells'}.`;
+    case 'rested':
+      return `${actor} rests and regains their spells.`;
+    case 'itemGained':
+      return `${actor} obtained ${event.item.name}.`;
+    case 'itemLost':
+      return `${actor} hands over ${event.item.name}.`;
+    case 'itemUsed':
+      if (event.effect === 'heal') {
+        return `${actor} drinks a ${event.item.name} and heals ${event.amount} HP (${event.roll.text}).`;
+      }
+      if (event.effect === 'acBonus') {
+        return `${actor} equips a ${event.item.name} and gains +${event.amount} armour class.`;
+      }
+      if (event.effect === 'condition') {
+        return `${actor} uses ${event.item.name}.`;
+      }
+      return `${actor} uses ${event.item.name}, but nothing happens.`;
+    case 'itemEquipped':
+      return `${actor} equips ${event.item.name} (${event.slot}).`;
+    case 'itemUnequipped':
+      return `${actor} takes off ${event.item.name} (${event.slot}).`;
+    case 'xp':
+      return `${actor} gained ${event.amount} XP.`;
+    case 'levelUp':
+      return event.hpGained !== undefined
+        ? `${actor} has reached level ${event.level} and gains ${event.hpGained} HP!`
+        : `${actor} has reached level ${event.level}!`;
+    case 'monsterSpawned':
+      return `A ${event.monster.name} appears!`;
+    case 'morale':
+      return sentence(event.roll
+        ? `${actor}'s morale ${event.success ? 'holds' : 'breaks'} (${event.roll.text} vs ${event.morale}).`
+        : `${actor} fights on without a thought of fleeing.`);
+    case 'monsterFled':
+      return sentence(`${actor} flees!`);
+    case 'characterFell':
+      return `${actor} falls unconscious and is dying (${event.hp} HP).`;
+    case 'characterBleeding':
+      return `${actor} is bleeding to death (${event.hp} HP).`;
+    case 'characterStabilised':
+      return `${actor} stabilises ${target}.`;
+    case 'characterRecovered':
+      return `${actor} regains consciousness (${event.hp} HP).`;
+    case 'characterDied':
+      return `${actor} has died.`;
+    case 'characterRevived':
+      return `${actor} returns to life with ${event.hp} HP.`;
+    case 'abilityCheck':
+      return `${actor} tests ${event.ability.toUpperCase()} and ${event.success ? 'succeeds' : 'fails'} (roll ${event.roll} vs ${event.score + (event.modifier || 0)}).`;
+    case 'abilityScoresChanged': {
+      const scores = Object.entries(event.scores).map(([ability, value]) => `${ability.toUpperCase()} ${value}`);
+      return scores.length > 0
+        ? `${actor}'s ability scores change: ${scores.join(', ')}.`
+        : `${actor}'s ability scores change.`;
+    }
+    case 'skillCheck': {
+      if (event.roll === null) return `${actor} does not know how to ${skillLabel(event.skill)}.`;
+      const target = event.chance + (event.modifier || 0);
+      return `${actor} tries to ${skillLabel(event.skill)} and ${event.success ? 'succeeds' : 'fails'} (roll ${event.roll} vs ${target}%).`;
+    }
+    case 'monsterSlain':
+      return event.share > 0
+        ? `${actor} slays ${target}! ${event.xp} XP is shared by ${event.party.length} (${event.share} each).`
+        : `${actor} slays ${target}!`;
+    case 'treasureFound': {
+      const found = [formatCoins(event.coins), ...event.items.map((i) => i.name)].filter(Boolean);
+      return sentence(`${nameOf(event.source)} carried ${found.join(', ')}.`);
+    }
+    case 'lootTaken':
+      return `${actor} takes ${event.item.name} from the loot.`;
+    case 'lootDivided':
+      return `The party divides the loot: ${formatCoins(event.share)} each.`;
+    case 'encounterStarted':
+      return `An encounter begins! Initiative order: ${event.order.map((e) => `${e.name} (${e.initiative})`).join(', ')}.`;
+    case 'encounterEnded':
+      return `The encounter is over after ${event.rounds} round(s).`;
+    case 'turnEnded':
+      return `${actor} ends their turn.`;
+    case 'reaction':
+      return event.target
+        ? `${actor} approaches ${target}, who seems ${event.result} (${event.roll.text}).`
+        : `${actor} rolls a reaction: ${event.result} (${event.roll.text}).`;
+    case 'conditionApplied': {
+      const length = event.rounds === null ? '' : ` for ${formatRounds(event.rounds)}`;
+      return sentence(`${target} ${event.refreshed ? 'is again' : 'is now'} affected by ${event.condition.name}${length}.`);
+    }
+    case 'conditionExpired':
+      return sentence(event.reason === 'used'
+        ? `${target}'s ${event.condition.name} is used up.`
+        : `${event.condition.name} on ${target} wears off.`);
+    case 'save':
+      return sentence(`${actor} ${event.success ? 'makes' : 'fails'} a saving throw vs ${saveLabel(event.category)} (${saveRoll(event)}).`);
+    default:
+      return `${actor} did something (${event.type}).`;
+  }
+}
+
+/**
+ * Attach the rendered text to an event for sending to clients.
+ * @param {object} event
+ * @returns {object}
+ */
+export function withText(event) {
+  return { ...event, text: describeEvent(event) };
+}
@@ -0,0 +1,207 @@
+// Health controller
+//
+// Hit points, dying and death for characters.  `rules/health.json`
+// sets the rules:
+//
+//   deathAt           – a character at or below this many HP is dead
+//                       (-10 by default; 0 means dead at 0)
+//   bleedingPerRound  – HP a dying character loses each round of game
+//                       time until stabilised (0 to turn bleeding off)
+//
+// A character at 0 HP or below but above `deathAt` is `unconscious` and
+// dying.  Another character can stabilise them (`stable`), which stops
+// the bleeding, and any healing that brings them above 0 HP wakes them
+// up.  Bleeding goes on outside encounters as exploring time passes (see
+// `movement.js`); when an encounter ends with no character left
+// standing, nobody can stabilise the dying and they bleed to death.
+// Healing never raises HP above `maxHp`.  Dead characters
+// (`status: 'dead'`) cannot act or be healed; only a spell with a
+// `resurrect` effect brings them back.  Monsters at 0 HP stay in the
+// game as corpses with `status: 'dead'`.
+
+import models from '../models/index.js';
+import { health as healthRules } from '../rules/index.js';
+import { rollDice } from './dice.js';
+import { describeEvent, playerRef } from './events.js';
+
+/**
+ * The HP at or below which a character dies.
+ * @returns {number}
+ */
+export function deathThreshold() {
+  return typeof healthRules.deathAt === 'number' ? healthRules.deathAt : -10;
+}
+
+/**
+ * Whether a character is out of the fight: unconscious or dead.
+ * @param {object} character
+ * @returns {boolean}
+ */
+export function isDown(character) {
+  return !!character && (character.status === 'unconscious' || character.status === 'dead');
+}
+
+/**
+ * Whether a character is dead.
+ * @param {object} character
+ * @returns {boolean}
+ */
+export function isDead(character) {
+  return !!character && character.status === 'dead';
+}
+
+// Record a character's fall or death after their HP dropped
+function afterDamage(gameId, player) {
+  const character = player.character;
+  if (character.hp > 0 || character.status === 'dead') return null;
+  if (character.hp <= deathThreshold()) {
+    character.hp = deathThreshold();
+    character.status = 'dead';
+    delete character.stable;
+    return models.recordEvent(gameId, { type: 'characterDied', actor: playerRef(player) });
+  }
+  if (character.status === 'unconscious') return null;
+  character.status = 'unconscious';
+  return models.recordEvent(gameId, { type: 'characterFell', actor: playerRef(player), hp: character.hp });
+}
+
+/**
+ * Take hit points off a character.  At 0 HP they fall unconscious and
+ * at the death threshold they die; both are recorded as events.  Call
+ * this after recording the attack or spell that did the damage.
+ * @param {string} gameId
+ * @param {object} player
+ * @param {number} amount
+ * @returns {string|null} the character's status afterwards
+ */
+export function damageCharacter(gameId, player, amount) {
+  if (!player.character) {
+    player.character = { hp: 0 };
+  }
+  const character = player.character;
+  if (typeof character.hp !== 'number') {
+    character.hp = 0;
+  }
+  if (character.status === 'dead') return character.status;
+  character.hp -= amount;
+  // A wound reopens a stabilised character's injuries
+  if (amount > 0) delete character.stable;
+  afterDamage(gameId, player);
+  return character.status || null;
+}
+
+/**
+ * The hit points healing of `amount` would actually restore: healing
+ * stops at `maxHp` and the dead cannot be healed.
+ * @param {object} character
+ * @param {number} amount
+ * @returns {number}
+ */
+export function healingFor(character, amount) {
+  if (!character || isDead(character)) return 0;
+  const hp = character.hp || 0;
+  if (typeof character.maxHp !== 'number') return amount;
+  return Math.max(0, Math.min(amount, character.maxHp - hp));
+}
+
+/**
+ * Restore hit points, never past `maxHp`.  A dying character healed
+ * above 0 HP regains consciousness (recorded as `characterRecovered`).
+ * Throws if the character is dead.  Call this after recording the
+ * healing spell or item.
+ * @param {string} gameId
+ * @param {object} player
+ * @param {number} amount
+ * @returns {number} hit points restored
+ */
+export function healCharacter(gameId, player, amount) {
+  if (!player.character) {
+    player.character = { hp: 0 };
+  }
+  const character = player.character;
+  if (isDead(character)) {
+    throw new Error(`${player.name} is dead and cannot be healed`);
+  }
+  const healed = healingFor(character, amount);
+  character.hp = (character.hp || 0) + healed;
+  if (character.status === 'unconscious' && character.hp > 0) {
+    delete character.status;
+    delete character.stable;
+    models.recordEvent(gameId, { type: 'characterRecovered', actor: playerRef(player), hp: character.hp });
+  }
+  return healed;
+}
+
+/**
+ * Stabilise a dying character so they stop losing hit points.  Records
+ * a `characterStabilised` event.  Throws unless the target is
+ * unconscious and still dying.
+ * @param {string} gameId
+ * @param {string} playerId who gives first aid
+ * @param {string} targetId the dying player
+ * @returns {{message: string, event: object}}
+ */
+export function stabilise(gameId, playerId, targetId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const player = game.players.get(playerId);
+  const target = game.players.get(targetId);
+  if (!player || !target || !target.character) {
+    throw new Error('Player or target not found in this game');
+  }
+  if (target.character.status !== 'unconscious') {
+    throw new Error(`${target.name} is not dying`);
+  }
+  if (target.character.stable) {
+    throw new Error(`${target.name} is already stable`);
+  }
+  target.character.stable = true;
+  const event = models.recordEvent(gameId, { type: 'characterStabilised', actor: playerRef(player), target: playerRef(target) });
+  return { message: describeEvent(event), event };
+}
+
+/**
+ * Let rounds pass for dying characters: those not yet stabilised lose
+ * `bleedingPerRound` HP a round and may die.
+ * @param {string} gameId
+ * @param {number} [rounds]
+ */
+export function bleed(gameId, rounds = 1) {
+  const game = models.getGame(gameId);
+  const amount = healthRules.bleedingPerRound || 0;
+  if (!game || amount <= 0) return;
+  for (const player of game.players.values()) {
+    const character = player.character;
+    if (!character || character.status !== 'unconscious' || character.stable) continue;
+    character.hp -= amount * rounds;
+    if (!afterDamage(gameId, player)) {
+      models.recordEvent(gameId, { type: 'characterBleeding', actor: playerRef(player), hp: character.hp });
+    }
+  }
+}
+
+/**
+ * Bring a dead character back to life with the hit points given by a
+ * `resurrect` effect (a number or dice expression, default 1).  Records
+ * a `characterRevived` event.  Throws unless the character is dead.
+ * @param {string} gameId
+ * @param {object} player
+ * @param {{hp?: number|string}|true} effect the `resurrect` effect
+ * @returns {number} hit points after returning
+ */
+export function resurrect(gameId, player, effect) {
+  const character = player.character;
+  if (!isDead(character)) {
+    throw new Error(`${player.name} is not dead`);
+  }
+  const game = models.getGame(gameId);
+  const value = (effect && effect.hp) || 1;
+  const hp = typeof value === 'number' ? value : rollDice(value, game.rng).total;
+  character.hp = Math.max(1, Math.min(hp, character.maxHp || hp));
+  delete character.status;
+  delete character.stable;
+  models.recordEvent(gameId, { type: 'characterRevived', actor: playerRef(player), hp: character.hp });
+  return character.hp;
+}
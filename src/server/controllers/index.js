@@ -6,24 +6,43 @@
 // emitting socket events) use the caller context (routes or sockets).
 
 import models from '../models/index.js';
-import { classes as classRules } from '../rules/index.js';
+import { classes as classRules, classKey } from '../rules/index.js';
 import { attack as performAttack, attackMonster as performAttackMonster } from './combat.js';
-import { castSpell } from './spells.js';
-import { getCampaign } from '../campaigns/index.js';
+import { castSpell, initSpellcasting, prepareSpells, restoreSpellSlots } from './spells.js';
+import { selectCampaign, travel, followParty, campaignState } from './campaign.js';
+import { questLog, startQuest, takeQuestUpdates } from './quests.js';
 import { spawnMonster } from './monster.js';
 import { giveItem, useItem } from './items.js';
 import { startDialogue, chooseDialogueOption } from './dialogue.js';
+import { rollDie, rollDice } from './dice.js';
+import { savingThrow, savingThrowsForHitDice } from './saves.js';
+import { awardExperience, refreshClassFeatures } from './levels.js';
+import { deriveStats, reactionRoll, setAbilityScores } from './abilities.js';
+import { equipItem, unequipItem } from './equipment.js';
+import { assertCanAct, endTimedConditions } from './conditions.js';
+import { takeLoot, divideLoot } from './treasure.js';
+import { skillCheck } from './skills.js';
+import { isDead, stabilise } from './health.js';
+import { gamesOnMap, moveTo, placePlayer, planRoute, selectMap, settleTokens } from './movement.js';
+import { viewFor, canSeeEvent } from './vision.js';
+import { describeEvent, playerRef, withText } from './events.js';
+import { startEncounter, beginFirstTurn, assertTurn, advanceTurn, endEncounter, getEncounter } from './encounter.js';
 
-// Roll a single die with a given number of sides (default d20)
-export function rollDie(sides = 20) {
-  const n = Math.floor(Math.random() * sides) + 1;
-  return n;
-}
+// Dice rolling lives in dice.js; re-export the single‑die helper for
+// existing callers
+export { rollDie };
 
-// Join a player to a game, creating the game if necessary
-export function joinGame(gameId, playerId, playerName) {
+// Join a player to a game, creating the game if necessary.  The first
+// player to join may pass `options.seed` to replay a recorded game.
+// The seed of a new game goes to the server log only: with it and the
+// number of draws every upcoming roll could be worked out.
+export function joinGame(gameId, playerId, playerName, options = {}) {
+  if (!models.getGame(gameId)) {
+    const game = models.createGame(gameId, options);
+    console.log(`🎲 Game ${gameId} uses seed ${game.rng.seed}`);
+  }
   const player = models.addPlayer(gameId, playerId, playerName);
-  models.appendLog(gameId, `${playerName} joined the game.`);
+  models.recordEvent(gameId, { type: 'join', actor: playerRef(player) });
   return player;
 }
 
@@ -40,98 +59,178 @@ export function handleAction(gameId, playerId, action) {
   if (!player) {
     throw new Error(`Player ${playerId} is not in game ${gameId}`);
   }
-  // Example: if the action is roll a die
+  // Roll dice.  Accepts a full expression (`dice: '2d6+1'`) or, for
+  // older clients, the number of `sides` of a single die.
   if (action.type === 'roll') {
-    const result = rollDie(action.sides);
-    const msg = `${player.name} rolled a ${result} (d${action.sides}).`;
-    models.appendLog(gameId, msg);
-    return { result, message: msg };
+    const expression = action.dice || `1d${action.sides || 20}`;
+    const roll = rollDice(expression, game.rng);
+    const event = models.recordEvent(gameId, { type: 'roll', actor: playerRef(player), expression, roll });
+    return { result: roll.total, roll, message: describeEvent(event) };
   }
   if (action.type === 'attack') {
+    // During an encounter only the combatant whose turn it is may attack
+    assertTurn(gameId, playerId);
+    assertCanAct(player);
     const { targetId, targetType } = action;
     // If the targetType is 'monster', attack a monster instance
     if (targetType === 'monster') {
-      const result = performAttackMonster(gameId, playerId, targetId);
-      const msg = result.hit
-        ? `${result.attacker} hit the ${result.target} for ${result.damage} damage (roll ${result.roll}).`
-        : `${result.attacker} missed the ${result.target} (roll ${result.roll}).`;
-      models.appendLog(gameId, msg);
-      return { message: msg, result };
+      const result = performAttackMonster(gameId, playerId, targetId, { ranged: action.ranged });
+      return { message: describeEvent(result.event), result, ...finishTurn(gameId) };
     }
     // Otherwise default to attacking another player
-    const result = performAttack(gameId, playerId, targetId);
-    const msg = result.hit
-      ? `${result.attacker} hit ${result.target} for ${result.damage} damage (roll ${result.roll}).`
-      : `${result.attacker} missed ${result.target} (roll ${result.roll}).`;
-    models.appendLog(gameId, msg);
-    return { message: msg, result };
+    const result = performAttack(gameId, playerId, targetId, { ranged: action.ranged });
+    return { message: describeEvent(result.event), result, ...finishTurn(gameId) };
   }
   if (action.type === 'castSpell') {
+    assertTurn(gameId, playerId);
+    assertCanAct(player);
     const { spellName, targetType, targetId } = action;
     // Use spellName or fall back to spellId for backwards compatibility
     const name = spellName || action.spellId;
     if (!name) {
-      const msg = `${player.name} tried to cast a spell, but no spell name was provided.`;
-      models.appendLog(gameId, msg);
-      return { message: msg };
+      throw new Error('No spell name given');
     }
     const { message, result } = castSpell(gameId, playerId, name, targetType, targetId);
-    return { message, result };
+    return { message, result, ...finishTurn(gameId) };
+  }
+  // Saving throws are rolled when called for, whoever's turn it is.
+  // `category` is a category key or alias such as 'poison'.
+  if (action.type === 'savingThrow') {
+    const { message, save, event } = savingThrow(gameId, 'player', playerId, action.category, { modifier: action.modifier });
+    return { message, result: save, event };
+  }
+  // First aid: stop a dying character (`targetId`) from losing blood.
+  // Takes the player's turn during an encounter.
+  if (action.type === 'stabilise') {
+    assertTurn(gameId, playerId);
+    assertCanAct(player);
+    const { message, event } = stabilise(gameId, playerId, action.targetId);
+    return { message, event, ...finishTurn(gameId) };
+  }
+  // Move the character's token to square `x`,`y` of the map they are
+  // on.  During an encounter only on the player's turn; moving does not
+  // end the turn.  Stopping on an exit adds the `transition` to another
+  // map.
+  if (action.type === 'move') {
+    assertTurn(gameId, playerId);
+    const { message, position, event, transition } = moveTo(gameId, 'player', playerId, { x: action.x, y: action.y });
+    // A party that went through an exit may have reached another
+    // location of the campaign
+    const arrival = transition && transition.event.party ? followParty(gameId) : null;
+    return {
+      message: arrival ? `${message} ${arrival.message}` : message,
+      result: position,
+      event,
+      transition,
+    };
+  }
+  // Thief skill check: d100 against the character's chance with the
+  // `skill` (e.g. 'openLocks'), adjusted by an optional `modifier`
+  if (action.type === 'skillCheck') {
+    const { message, check, event } = skillCheck(gameId, playerId, action.skill, { modifier: action.modifier });
+    return { message, result: check, event };
+  }
+  // Reaction roll (2d6 + CHA) when meeting creatures, optionally for a
+  // specific monster instance (`targetId`)
+  if (action.type === 'reaction') {
+    const { message, result, event } = reactionRoll(gameId, playerId, action.targetId);
+    return { message, result, event };
+  }
+  // Share out the treasure of slain monsters once the fight is over:
+  // take an item (`itemId`) from the loot pile or divide its coins
+  if (action.type === 'takeLoot') {
+    const { message, event } = takeLoot(gameId, playerId, action.itemId);
+    return { message, event };
+  }
+  if (action.type === 'divideLoot') {
+    const { message, share, event } = divideLoot(gameId);
+    return { message, result: share, event };
+  }
+  if (action.type === 'endTurn') {
+    if (!getEncounter(gameId)) {
+      throw new Error('No encounter in progress');
+    }
+    assertTurn(gameId, playerId);
+    const event = models.recordEvent(gameId, { type: 'turnEnded', actor: playerRef(player) });
+    return { message: describeEvent(event), ...finishTurn(gameId) };
   }
-  // Unknown action
-  const msg = `${player.name} performed an unknown action: ${JSON.stringify(action)}.`;
-  models.appendLog(gameId, msg);
-  return { message: msg };
+  throw new Error(`Unknown action: ${action.type}`);
+}
+
+// Pass the turn on after a player has acted in an encounter.  Returns
+// an object with `encounter` describing the turn change (the next turn,
+// monster actions taken in between and whether the encounter ended), or
+// an empty object when no encounter is running.
+function finishTurn(gameId) {
+  if (!getEncounter(gameId)) return {};
+  return { encounter: advanceTurn(gameId) };
+}
+
+// Start an encounter: roll initiative and resolve any monster turns
+// that come before the first player.  Returns the encounter and the
+// first turn summary.
+export function beginEncounter(gameId) {
+  const encounter = startEncounter(gameId);
+  return { order: encounter.order, ...beginFirstTurn(gameId) };
 }
 
 // Create or update a character for the given player.  The character
 // object should contain name, race, class and any other fields you wish
 // to support.  Returns the updated player.
 export function createCharacter(gameId, playerId, character) {
-  // Determine initial hit points from rules
-  const clsKey = (character.class || '').toLowerCase();
-  const rule = classRules[clsKey];
-  if (rule && rule.hitDie) {
-    // Roll hit points once for level 1
-    character.hp = rollDie(rule.hitDie);
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
   }
-  // Basic armour class; may be modified by equipment and dexterity
-  if (!character.ac) character.ac = 10;
   // Ensure ability scores exist (placeholders if not provided)
   if (!character.abilityScores) {
     character.abilityScores = { str: 10, dex: 10, con: 10, int: 10, wis: 10, cha: 10 };
   }
-  // Assign saving throws from class rules if available; placeholder otherwise
-  if (rule && rule.savingThrows) {
-    character.savingThrows = { ...rule.savingThrows };
-  } else if (!character.savingThrows) {
-    // Provide generic placeholder values
-    character.savingThrows = { deathRay: 12, magic: 12, paralysis: 12 };
+  // Determine initial hit points from rules
+  const rule = classRules[classKey(character.class)];
+  if (rule && rule.hitDie) {
+    // Roll hit points once for level 1; the CON modifier is applied by
+    // deriveStats below
+    character.hitDieRolls = [rollDie(rule.hitDie, game.rng)];
+    delete character.hp;
+    delete character.maxHp;
+  }
+  // Basic armour class before DEX; may be modified by equipment
+  if (!character.baseAc) character.baseAc = character.ac || 10;
+  // Modifiers, armour class and hit points from the ability scores
+  deriveStats(character);
+  // Saving throws, thief skills and other level‑dependent values come
+  // from the class rules; characters without a class save as a normal man
+  refreshClassFeatures(character);
+  if (!character.savingThrows) {
+    character.savingThrows = savingThrowsForHitDice(0);
   }
+  // Spellbook, spell slots and prepared spells for casting classes
+  initSpellcasting(character);
   const player = models.setCharacter(gameId, playerId, character);
+  // Put new characters on the map if one is in use
+  if (!player.position) placePlayer(models.getGame(gameId), player);
   // Log the creation
-  const race = character.race || 'unknown race';
-  const cls = character.class || 'unknown class';
-  models.appendLog(gameId, `${player.name} created a character: ${character.name} (${race} ${cls}) with ${character.hp || '?'} HP.`);
+  models.recordEvent(gameId, {
+    type: 'characterCreated',
+    actor: playerRef(player),
+    character: { name: character.name, race: character.race, class: character.class, hp: character.hp },
+  });
   return player;
 }
 
-// Select a campaign for a game.  Loads the campaign data and attaches
-// it to the game.  Returns the campaign summary.
-export function selectCampaign(gameId, campaignId) {
-  const campaign = getCampaign(campaignId);
-  if (!campaign) {
-    throw new Error(`Campaign ${campaignId} does not exist`);
-  }
-  const game = models.createGame(gameId);
-  game.campaign = campaign;
-  models.appendLog(gameId, `Campaign '${campaign.name}' selected.`);
-  return {
-    id: campaign.id,
-    name: campaign.name,
-    description: campaign.description,
-  };
-}
+// Re-export the campaign runtime: selecting a campaign drops the party
+// at its starting location, from where it travels between locations
+export { selectCampaign, travel };
+
+// Re-export the quest tracker: quests the campaign does not start by
+// itself and the quest changes for the sockets to announce
+export { startQuest, takeQuestUpdates };
+
+// Re-export map selection (tokens are placed on the chosen map), route
+// planning for movement previews, the lookup of games on a map and the
+// moving of creatures stranded by a map edit
+export { selectMap, planRoute, gamesOnMap, settleTokens };
 
 // Re-export monster and item helpers for use in sockets or routes
 export { spawnMonster, giveItem, useItem };
@@ -139,14 +238,87 @@ export { spawnMonster, giveItem, useItem };
 // Re-export dialogue helpers
 export { startDialogue, chooseDialogueOption };
 
-// Get the current state of a game suitable for broadcasting to clients
-export function getGameState(gameId) {
+// Re-export encounter helpers
+export { endEncounter };
+
+// Re-export spell preparation helpers
+export { prepareSpells };
+
+// Re-export saving throws so the DM's tools can call for them
+export { savingThrow };
+
+// Re-export experience awards; levels are gained from the class tables
+export { awardExperience };
+
+// Re-export ability score changes; derived stats are recomputed
+export { setAbilityScores };
+
+// Re-export equipment helpers
+export { equipItem, unequipItem };
+
+// Rest for the night, restoring the character's spell slots and ending
+// timed conditions.  Not allowed in the middle of an encounter.
+export function rest(gameId, playerId) {
+  if (getEncounter(gameId)) {
+    throw new Error('You cannot rest during an encounter');
+  }
+  const player = models.getPlayer(gameId, playerId);
+  if (player && isDead(player.character)) {
+    throw new Error(`${player.name} is dead`);
+  }
+  const character = restoreSpellSlots(gameId, playerId);
+  endTimedConditions(gameId, 'player', models.getPlayer(gameId, playerId));
+  return character;
+}
+
+// Where a game is in its dice sequence: `{ seed, draws }`, enough to
+// reproduce a session from a bug report.  Never part of the broadcast
+// state, as it gives away every upcoming roll.  Returns null if the
+// game does not exist.
+export function getRngState(gameId) {
+  const game = models.getGame(gameId);
+  return game ? { seed: game.rng.seed, draws: game.rng.draws } : null;
+}
+
+// Return a page of the game's event log with each event's rendered
+// `text`.  `options` accepts the paging parameters of `models.getEvents`
+// (`since`, `before`, `limit`, `types`) and the `playerId` whose view of
+// the log is wanted: events giving away monsters the player did not see
+// are left out (see `canSeeEvent` in `vision.js`).  Returns null if the
+// game does not exist.
+export function getEventPage(gameId, options = {}) {
+  if (!models.getGame(gameId)) return null;
+  const { since, before, limit, types, playerId } = options;
+  const filter = (event) => canSeeEvent(playerId, event);
+  const page = models.getEvents(gameId, { since, before, limit, types, filter });
+  return { ...page, events: page.events.map(withText) };
+}
+
+// Get the current state of a game suitable for broadcasting to clients.
+// The `campaign` part holds the party's location, the locations visited
+// and the NPCs present (see `campaign.js`), and `quests` the quests
+// begun with their objectives (see `quests.js`).
+// Rather than the whole log, the state carries one page of events (the
+// most recent 50 by default); see `getEventPage` for the options.  With
+// `options.playerId` the state is that player's view: the part of the
+// active map they have explored and the monsters they can see (see
+// `vision.js`).
+export function getGameState(gameId, options = {}) {
   const game = models.getGame(gameId);
   if (!game) return null;
-  return {
+  const page = getEventPage(gameId, options);
+  const state = {
     id: game.id,
     players: Array.from(game.players.values()),
     monsters: Array.from(game.monsters.values()),
-    log: game.log,
+    mapId: game.mapId || null,
+    campaign: campaignState(game),
+    quests: questLog(game),
+    encounter: game.encounter || null,
+    loot: game.loot || { coins: {}, items: [] },
+    events: page.events,
+    eventCount: page.total,
+    hasMoreEvents: page.hasMore,
   };
+  return options.playerId ? viewFor(game, options.playerId, state) : state;
 }
\ No newline at end of file
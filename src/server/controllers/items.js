@@ -1,10 +1,16 @@
 // Item controller
 //
-// Functions to handle player inventory and using items.
+// Functions to handle player inventory and using items.  Weapons,
+// armour and other gear are not used up: using them equips them (see
+// `equipment.js`).
 
 import models from '../models/index.js';
 import { items as itemRules } from '../rules/index.js';
-import { rollDie } from './index.js';
+import { rollDice } from './dice.js';
+import { describeEvent, playerRef } from './events.js';
+import { equipItem, isEquippable } from './equipment.js';
+import { applyCondition, assertCanAct } from './conditions.js';
+import { healCharacter, healingFor } from './health.js';
 
 /**
  * Give an item to a player by ID.  Logs the acquisition.
@@ -18,13 +24,15 @@ export function giveItem(gameId, playerId, itemId) {
     throw new Error(`Unknown item: ${itemId}`);
   }
   const player = models.addItemToPlayer(gameId, playerId, itemId);
-  models.appendLog(gameId, `${player.name} obtained ${item.name}.`);
+  models.recordEvent(gameId, { type: 'itemGained', actor: playerRef(player), item: { id: itemId, name: item.name } });
   return player;
 }
 
 /**
  * Use an item from the player's inventory.  Returns a result describing
- * the effect.  Currently supports healing potions.
+ * the effect.  Healing potions heal; other effects (e.g. the potion of
+ * strength's `damageBonus`) become a timed condition on the user (see
+ * `conditions.js`).  Gear is equipped rather than consumed.
  * @param {string} gameId
  * @param {string} playerId
  * @param {string} itemId
@@ -34,42 +42,38 @@ export function useItem(gameId, playerId, itemId) {
   if (!item) {
     throw new Error(`Unknown item: ${itemId}`);
   }
+  const user = models.getPlayer(gameId, playerId);
+  if (user && user.character) assertCanAct(user);
+  if (isEquippable(item)) {
+    const { message, event } = equipItem(gameId, playerId, itemId);
+    return { playerId, itemId, message, event };
+  }
   // Remove from inventory
   const removed = models.removeItemFromPlayer(gameId, playerId, itemId);
   if (!removed) {
     throw new Error('Item not in inventory');
   }
+  const game = models.getGame(gameId);
   const player = models.getPlayer(gameId, playerId);
   if (!player || !player.character) {
     throw new Error('Player or character missing');
   }
-  let message = '';
+  const event = { type: 'itemUsed', actor: playerRef(player), item: { id: itemId, name: item.name }, effect: null };
   const effect = item.effect || {};
-  // Healing effect: parse dice notation (e.g. "1d8")
+  // Healing effect: roll the dice expression (e.g. "1d8")
   if (effect.heal) {
-    const match = effect.heal.match(/(\d+)d(\d+)/);
-    let heal = 0;
-    if (match) {
-      const [_, countStr, sidesStr] = match;
-      const count = parseInt(countStr, 10);
-      const sides = parseInt(sidesStr, 10);
-      for (let i = 0; i < count; i++) {
-        heal += rollDie(sides);
-      }
-    }
-    player.character.hp = (player.character.hp || 0) + heal;
-    message = `${player.name} drinks a ${item.name} and heals ${heal} HP.`;
-  } else if (effect.acBonus) {
-    // Armour class bonus: increase the player's AC
-    if (typeof player.character.ac !== 'number') {
-      player.character.ac = 10;
-    }
-    player.character.ac += effect.acBonus;
-    message = `${player.name} equips a ${item.name} and gains +${effect.acBonus} armour class.`;
-  } else {
-    // Other effects are not implemented; log a generic message
-    message = `${player.name} uses ${item.name}, but nothing happens.`;
+    const roll = rollDice(effect.heal, game.rng);
+    const heal = healingFor(player.character, Math.max(0, roll.total));
+    Object.assign(event, { effect: 'heal', amount: heal, roll });
+  } else if (Object.keys(effect).length > 0) {
+    event.effect = 'condition';
+  }
+  const recorded = models.recordEvent(gameId, event);
+  if (event.effect === 'heal') {
+    healCharacter(gameId, player, event.amount);
+  }
+  if (event.effect === 'condition') {
+    applyCondition(gameId, 'player', player, effect, { id: itemId, name: item.name, duration: item.duration });
   }
-  models.appendLog(gameId, message);
-  return { playerId, itemId, message };
+  return { playerId, itemId, message: describeEvent(recorded), event: recorded };
 }
\ No newline at end of file
@@ -0,0 +1,153 @@
+// Levelling controller
+//
+// Experience and levels follow the class tables in `rules/classes.json`.
+// `experienceTable` maps each level to the total experience needed to
+// reach it, so a character's level is the highest level whose threshold
+// their accumulated `experience` meets.  Each level gained rolls the
+// class hit die plus the character's CON modifier (at least 1 hit point,
+// see `abilities.js`) and refreshes the values that depend on level:
+//
+//   spellSlots    – see `spells.js`
+//   thiefSkills   – the class `abilities` percentages for the level
+//   savingThrows  – the class table; either one set of numbers or sets
+//                   keyed by the level from which they apply
+//
+// Every level gained is recorded as a `levelUp` event carrying a summary
+// of what changed.
+
+import models from '../models/index.js';
+import { classes as classRules, classKey } from '../rules/index.js';
+import { rollDice } from './dice.js';
+import { playerRef } from './events.js';
+import { refreshSpellSlots, learnSpellLevels } from './spells.js';
+import { deriveStats, hitPointsForDie, modifierFor } from './abilities.js';
+
+/**
+ * Level reached by a character of the given class with `experience`
+ * points.  Levels beyond the end of the class table are not reached.
+ * @param {string} cls class key
+ * @param {number} experience
+ * @returns {number}
+ */
+export function levelForExperience(cls, experience) {
+  const table = (classRules[cls] && classRules[cls].experienceTable) || {};
+  let level = 1;
+  for (const [lvl, needed] of Object.entries(table)) {
+    const n = parseInt(lvl, 10);
+    if (experience >= needed && n > level) level = n;
+  }
+  return level;
+}
+
+/**
+ * Pick the entry of a level‑keyed table that applies at `level`: the
+ * entry for the highest key not above it.  Returns null if none apply.
+ * @param {object} table e.g. { "1": {...}, "4": {...} }
+ * @param {number} level
+ * @returns {*}
+ */
+function entryForLevel(table, level) {
+  const keys = Object.keys(table).map(Number).filter((n) => n <= level);
+  if (keys.length === 0) return null;
+  return table[String(Math.max(...keys))];
+}
+
+/**
+ * Recompute the level‑dependent values of a character from their class
+ * table: spell slots, thief skill percentages and saving throws.
+ * Characters without a known class are left unchanged.  Mutates and
+ * returns the character.
+ * @param {object} character
+ * @returns {object}
+ */
+export function refreshClassFeatures(character) {
+  const cls = classKey(character.class);
+  const rule = cls ? classRules[cls] : null;
+  if (!rule) return character;
+  const level = character.level || 1;
+  refreshSpellSlots(character);
+  if (rule.abilities) {
+    const skills = {};
+    for (const [skill, byLevel] of Object.entries(rule.abilities)) {
+      // Levels past the end of the table keep the last value
+      skills[skill] = byLevel[Math.min(level, byLevel.length) - 1];
+    }
+    character.thiefSkills = skills;
+  }
+  if (rule.savingThrows) {
+    const flat = Object.values(rule.savingThrows).every((v) => typeof v === 'number');
+    const saves = flat ? rule.savingThrows : entryForLevel(rule.savingThrows, level);
+    if (saves) character.savingThrows = { ...saves };
+  }
+  return character;
+}
+
+/**
+ * Raise a character by one level: roll hit points and refresh the class
+ * features.  Returns the summary stored in the `levelUp` event.
+ * @param {object} game
+ * @param {object} character
+ * @returns {object}
+ */
+function gainLevel(game, character) {
+  const cls = classKey(character.class);
+  const rule = classRules[cls];
+  const before = {
+    spellSlots: JSON.stringify(character.spellSlots || {}),
+    thiefSkills: JSON.stringify(character.thiefSkills || {}),
+    savingThrows: JSON.stringify(character.savingThrows || {}),
+  };
+  character.level = (character.level || 1) + 1;
+  const con = modifierFor(character, 'con');
+  const hpRoll = rollDice(`1d${rule.hitDie || 4}`, game.rng);
+  const hpGained = hitPointsForDie(hpRoll.total, con);
+  if (Array.isArray(character.hitDieRolls)) {
+    // deriveStats adds the new die to the maximum and current hit points
+    character.hitDieRolls.push(hpRoll.total);
+  } else {
+    character.hp = (character.hp || 0) + hpGained;
+  }
+  refreshClassFeatures(character);
+  learnSpellLevels(character);
+  deriveStats(character);
+  const summary = { level: character.level, hpGained, hpRoll, conModifier: con };
+  // Only report the derived values that changed
+  for (const key of Object.keys(before)) {
+    if (JSON.stringify(character[key] || {}) !== before[key]) {
+      summary[key] = character[key];
+    }
+  }
+  return summary;
+}
+
+/**
+ * Award experience to a player's character, recording an `xp` event,
+ * and apply any levels gained according to the class table.  Returns
+ * the player and the `levelUp` events recorded.  Throws if the player
+ * or character is missing.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {number} amount
+ * @returns {{player: object, levelUps: object[]}}
+ */
+export function awardExperience(gameId, playerId, amount) {
+  const game = models.getGame(gameId);
+  const player = game ? game.players.get(playerId) : null;
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  models.addExperience(gameId, playerId, amount);
+  const character = player.character;
+  const actor = playerRef(player);
+  models.recordEvent(gameId, { type: 'xp', actor, amount, total: character.experience });
+  const levelUps = [];
+  const cls = classKey(character.class);
+  if (cls && classRules[cls].experienceTable) {
+    const target = levelForExperience(cls, character.experience);
+    while ((character.level || 1) < target) {
+      const summary = gainLevel(game, character);
+      levelUps.push(models.recordEvent(gameId, { type: 'levelUp', actor, ...summary }));
+    }
+  }
+  return { player, levelUps };
+}
@@ -1,23 +1,104 @@
 // Monster controller
 //
-// Functions to manipulate monsters in games: spawning and (future) AI.
+// Functions to manipulate monsters in games: spawning and rewarding the
+// party when one is slain.  What monsters do on their turns is decided
+// by the monster AI in `ai.js`.
 
 import models from '../models/index.js';
 import { monsters as monsterRules } from '../rules/index.js';
+import { rollDice } from './dice.js';
+import { monsterRef, playerRef } from './events.js';
+import { savingThrowsForHitDice } from './saves.js';
+import { awardExperience } from './levels.js';
+import { rollTreasure, addLoot } from './treasure.js';
+import { isDead } from './health.js';
+import { placeMonster, mapOf } from './movement.js';
+import { witnesses } from './vision.js';
 
 /**
  * Spawn a monster of the given type into the specified game.  Logs the
- * creation and returns the instance.  Throws if the monster type is
- * unknown.
+ * creation and returns the instance.  Hit points come from the rules or,
+ * if the rules give none, are rolled on the monster's hit dice (d8 each).
+ * Saving throws are derived from the hit dice.  Throws if the game does
+ * not exist or the monster type is unknown.  The monster is placed on
+ * the map `mapId`, or the game's active map if it has one, at
+ * `position` if given (see `placeMonster`), and stays on that map.
  * @param {string} gameId
  * @param {string} monsterType
+ * @param {{x: number, y: number}} [position]
+ * @param {string} [mapId]
  */
-export function spawnMonster(gameId, monsterType) {
+export function spawnMonster(gameId, monsterType, position, mapId) {
   const rules = monsterRules[monsterType];
   if (!rules) {
     throw new Error(`Unknown monster type: ${monsterType}`);
   }
-  const instance = models.spawnMonster(gameId, monsterType, rules);
-  models.appendLog(gameId, `A ${monsterType} appears!`);
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  // Monsters save by their hit dice unless the rules list their saves
+  let stats = { ...rules, savingThrows: rules.savingThrows || savingThrowsForHitDice(rules.hitDice || 1) };
+  // Monsters without fixed hit points roll them from their hit dice
+  if (!rules.hitPoints) {
+    stats = { ...stats, hitPoints: rollDice(`${rules.hitDice || 1}d8`, game.rng).total };
+  }
+  const instance = models.spawnMonster(gameId, monsterType, stats);
+  try {
+    placeMonster(game, instance, position, mapId);
+  } catch (err) {
+    game.monsters.delete(instance.instanceId);
+    throw err;
+  }
+  const event = { type: 'monsterSpawned', monster: monsterRef(instance) };
+  // A monster placed on a map appears only to the players who see it,
+  // and to nobody when no square was free for it
+  const map = mapOf(game, instance);
+  if (map) event.seenBy = instance.position ? witnesses(game, map.id, [instance.position]) : [];
+  models.recordEvent(gameId, event);
   return instance;
-}
\ No newline at end of file
+}
+
+// Players who share the rewards of a kill: the living characters in the
+// encounter, or every living character in the game outside encounters
+function partyOf(game) {
+  const players = Array.from(game.players.values()).filter((p) => p.character && !isDead(p.character));
+  if (!game.encounter) return players;
+  const present = new Set(game.encounter.order.filter((e) => e.kind === 'player').map((e) => e.id));
+  return players.filter((p) => present.has(p.id));
+}
+
+/**
+ * Reward the party for slaying a monster.  The monster's `xp` is split
+ * evenly between the party (any remainder is lost) and its treasure is
+ * rolled into the loot pile.  Records a `monsterSlain` event followed by
+ * the `xp`, `levelUp` and `treasureFound` events.
+ * @param {string} gameId
+ * @param {object} monster the slain monster instance
+ * @param {object} killer the player who struck the killing blow
+ * @returns {{xp: number, share: number, levelUps: object[], treasure: object}}
+ */
+export function monsterSlain(gameId, monster, killer) {
+  const game = models.getGame(gameId);
+  const rules = monsterRules[monster.type] || {};
+  const xp = rules.xp || 0;
+  const party = partyOf(game);
+  const share = party.length > 0 ? Math.floor(xp / party.length) : 0;
+  models.recordEvent(gameId, {
+    type: 'monsterSlain',
+    actor: playerRef(killer),
+    target: monsterRef(monster),
+    xp,
+    share,
+    party: party.map(playerRef),
+  });
+  const levelUps = [];
+  if (share > 0) {
+    for (const player of party) {
+      levelUps.push(...awardExperience(gameId, player.id, share).levelUps);
+    }
+  }
+  const treasure = rollTreasure(game, rules.treasureType || 'None');
+  addLoot(gameId, monsterRef(monster), treasure);
+  return { xp, share, levelUps, treasure };
+}
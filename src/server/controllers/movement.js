@@ -0,0 +1,720 @@
+// Movement controller
+//
+// Players and monster instances stand on a map (`mapId`, one of the
+// maps in `maps/`) at a `position` of `{ x, y }` tile coordinates.  The
+// game's active map (`game.mapId`) is where the party is: new
+// characters and monsters are placed on it, but each player and monster
+// keeps the map it is on, so the party can split up and monsters stay
+// where they were spawned.  A square is ten feet.  Creatures move at
+// their `movement` rate in feet (monsters take it from
+// `rules/monsters.json`, characters default to 120'):
+//
+//   – in an encounter a combatant may move a third of its rate each
+//     turn (120' becomes 40', four squares), split over several moves;
+//   – outside encounters a single move may cover the full rate.
+//     Exploring is slow: at 120' a turn, each square a player moves
+//     takes five rounds of game time, during which conditions tick
+//     down (see `conditions.js`) and the dying bleed (see `health.js`).
+//
+// A move follows the cheapest path to the destination (see
+// `pathfinding.js`): entering a square costs its tile's movement `cost`
+// in squares from `rules/tiles.json`, tiles that are not `passable`
+// cannot be entered and tiles that `require` swimming or flying can
+// only be entered by creatures listing that mode in `movementModes`
+// (in their monster rules or on the character, e.g. `["swim"]`).
+// Diagonal steps cost the same as orthogonal ones (a map may set
+// `diagonals` to another rule) and the path goes around impassable
+// tiles and other living creatures (corpses do not block).
+// Monsters are placed on the spawn points the campaign lists for the map
+// (or the map itself lists, as generated maps do; see `placeMonster`)
+// and players on its `start` square; otherwise everyone is put on the
+// free passable tile nearest the centre.
+//
+// Maps link up through `exits`: squares that lead to a square of
+// another map, e.g. stairs or a portal.
+//
+//   "exits": [{ "x": 4, "y": 9, "map": "cave", "entry": { "x": 1, "y": 1 }, "party": true }]
+//
+// A player whose move ends on an exit goes through it, to `entry` or
+// the target map's start square (see `useExit`).  With `party` the
+// whole party on the map goes along and the target becomes the game's
+// active map.  Monsters do not use exits.  An exit with a `skillCheck`
+// (see `skills.js`), such as a locked door, opens only for a player who
+// passes the check; it then stays open (`game.openedExits`).
+//
+// Maps may hide `traps` that spring on a player who walks onto them:
+//
+//   "traps": [{ "x": 3, "y": 4, "name": "pit trap", "damage": "1d6", "skillCheck": "findTraps" }]
+//
+// A player who passes the trap's `skillCheck` disarms it instead.
+// Either way a trap goes off once per game (`game.resolvedTraps`); the
+// damage (1d6 by default) is dealt as in combat (see `health.js`).
+
+import models from '../models/index.js';
+import { monsters as monsterRules, tiles as tileRules } from '../rules/index.js';
+import { getMap } from '../maps/index.js';
+import { describeEvent, playerRef, monsterRef } from './events.js';
+import { assertCanAct, tickConditions, ROUNDS_PER_TURN } from './conditions.js';
+import { rollDice } from './dice.js';
+import { isDown, isDead, damageCharacter, bleed } from './health.js';
+import { skillCheck } from './skills.js';
+import { findPath } from './pathfinding.js';
+import { lookAround, witnesses } from './vision.js';
+
+export const FEET_PER_SQUARE = 10;
+
+// Movement rate of characters, in feet
+const DEFAULT_MOVEMENT = 120;
+
+// Rounds of game time a square of exploring takes outside encounters
+const ROUNDS_PER_SQUARE = ROUNDS_PER_TURN / (DEFAULT_MOVEMENT / FEET_PER_SQUARE);
+
+/**
+ * The active map of a game, or null when none has been selected.
+ * @param {object} game
+ * @returns {object|null}
+ */
+export function activeMap(game) {
+  return game && game.mapId ? getMap(game.mapId) : null;
+}
+
+/**
+ * The map a player or monster is on: its own `mapId`, or the game's
+ * active map while it has not been placed.
+ * @param {object} game
+ * @param {object} entity
+ * @returns {object|null}
+ */
+export function mapOf(game, entity) {
+  return entity && entity.mapId ? getMap(entity.mapId) : activeMap(game);
+}
+
+/**
+ * Whether a creature is missing from a game that uses maps: it has no
+ * square because none was free when it was placed.  Such a creature can
+ * be neither reached nor seen.
+ * @param {object} game
+ * @param {object} entity
+ * @returns {boolean}
+ */
+export function offMap(game, entity) {
+  return !entity.position && !!mapOf(game, entity);
+}
+
+/**
+ * Whether two creatures are on the same map (or either is on none).
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function sameMap(a, b) {
+  return !a.mapId || !b.mapId || a.mapId === b.mapId;
+}
+
+/**
+ * The ways a creature can move besides walking, e.g. `['swim']`, from
+ * its monster rules or its character.
+ * @param {object|null} entity player or monster instance
+ * @returns {string[]}
+ */
+export function movementModes(entity) {
+  if (!entity) return [];
+  if (entity.instanceId) {
+    const rules = monsterRules[entity.type] || {};
+    return rules.movementModes || [];
+  }
+  return (entity.character && entity.character.movementModes) || [];
+}
+
+/**
+ * Squares of movement it takes to enter a tile type.  Tiles missing
+ * from the registry (reported when their map loads) cost 1.
+ * @param {string} tile
+ * @param {string[]} [modes] the creature's movement modes
+ * @returns {number} Infinity when the creature cannot enter it
+ */
+export function tileCost(tile, modes = []) {
+  const rule = tileRules[tile];
+  if (!rule) return 1;
+  if (!rule.passable) return Infinity;
+  if (rule.requires && !modes.includes(rule.requires)) return Infinity;
+  return rule.cost || 1;
+}
+
+/**
+ * Whether a creature can enter a square.
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @param {string[]} [modes] the creature's movement modes
+ * @returns {boolean}
+ */
+export function isPassable(map, x, y, modes = []) {
+  const row = map.tiles[y];
+  if (!row || x < 0 || x >= row.length) return false;
+  return Number.isFinite(tileCost(row[x], modes));
+}
+
+/**
+ * Distance between two squares; a diagonal step counts as one square.
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+export function distance(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+// Every living creature with a position on a map, as [kind, entity] pairs
+function tokens(game, mapId) {
+  const players = Array.from(game.players.values())
+    .filter((p) => p.position && p.mapId === mapId && !isDead(p.character))
+    .map((p) => ['player', p]);
+  const monsters = Array.from(game.monsters.values())
+    .filter((m) => m.position && m.mapId === mapId && m.status !== 'dead')
+    .map((m) => ['monster', m]);
+  return players.concat(monsters);
+}
+
+/**
+ * The living creature standing on a square of a map, if any.
+ * @param {object} game
+ * @param {number} x
+ * @param {number} y
+ * @param {string} [mapId] defaults to the game's active map
+ * @returns {object|null} player or monster instance
+ */
+export function occupantAt(game, x, y, mapId = game.mapId) {
+  const found = tokens(game, mapId).find(([, e]) => e.position.x === x && e.position.y === y);
+  return found ? found[1] : null;
+}
+
+// Whether a square is free for a creature to stand on
+function isFree(game, map, x, y, self) {
+  if (!isPassable(map, x, y, movementModes(self))) return false;
+  const occupant = occupantAt(game, x, y, map.id);
+  return !occupant || occupant === self;
+}
+
+// The free square nearest to `from`, searching outwards ring by ring
+function nearestFree(game, map, from, self) {
+  const { width, height } = map.dimensions;
+  const reach = Math.max(width, height);
+  for (let r = 0; r <= reach; r += 1) {
+    for (let y = from.y - r; y <= from.y + r; y += 1) {
+      for (let x = from.x - r; x <= from.x + r; x += 1) {
+        if (distance(from, { x, y }) !== r) continue;
+        if (isFree(game, map, x, y, self)) return { x, y };
+      }
+    }
+  }
+  return null;
+}
+
+// Where to place creatures on a map: the campaign's entry for the map
+// if it has one, otherwise the map itself (generated maps list their
+// own `start` and `spawnPoints`)
+function campaignMap(game, map) {
+  const maps = (game.campaign && game.campaign.maps) || [];
+  return maps.find((m) => m.id === map.id || m.map === map.id) || map;
+}
+
+// Put a creature on the first free square of `preferred` on a map, else
+// the free square nearest the first preferred square or the map centre.
+// A creature with no free square left is on no map and no square.
+function place(game, map, entity, preferred) {
+  const centre = { x: Math.floor(map.dimensions.width / 2), y: Math.floor(map.dimensions.height / 2) };
+  const found = preferred.find((point) => isFree(game, map, point.x, point.y, entity))
+    || nearestFree(game, map, preferred[0] || centre, entity);
+  if (!found) {
+    delete entity.mapId;
+    delete entity.position;
+    return null;
+  }
+  entity.mapId = map.id;
+  entity.position = { x: found.x, y: found.y };
+  return entity.position;
+}
+
+// Place a player on a map's start square or a monster on its spawn
+// points (see `placePlayer` and `placeMonster`)
+function placeOn(game, map, kind, entity) {
+  const def = campaignMap(game, map);
+  if (kind === 'player') return place(game, map, entity, def.start ? [def.start] : []);
+  return place(game, map, entity, def.spawnPoints || []);
+}
+
+/**
+ * Place a player on the active map: on the `start` square of the
+ * campaign's entry for the map or of the map itself if there is one,
+ * otherwise near the centre.  Does nothing when the game has no map.
+ * @param {object} game
+ * @param {object} player
+ * @returns {{x: number, y: number}|null}
+ */
+export function placePlayer(game, player) {
+  const map = activeMap(game);
+  if (!map) return null;
+  return placeOn(game, map, 'player', player);
+}
+
+/**
+ * Place a monster on a map, the active map unless `mapId` names
+ * another.  A requested `position` is used if it is free; otherwise the
+ * first free spawn point of the campaign's entry for the map or of the
+ * map (`spawnPoints: [{ x, y }]`), otherwise the free square nearest
+ * the centre.  Throws if the map does not exist or a requested position
+ * is blocked.
+ * @param {object} game
+ * @param {object} monster
+ * @param {{x: number, y: number}} [position]
+ * @param {string} [mapId]
+ * @returns {{x: number, y: number}|null}
+ */
+export function placeMonster(game, monster, position, mapId) {
+  const map = mapId ? getMap(mapId) : activeMap(game);
+  if (!map) {
+    if (mapId) throw new Error(`Map ${mapId} does not exist`);
+    return null;
+  }
+  if (position) {
+    if (!isFree(game, map, position.x, position.y, monster)) {
+      throw new Error(`Square ${position.x},${position.y} is blocked`);
+    }
+    monster.mapId = map.id;
+    monster.position = { x: position.x, y: position.y };
+    return monster.position;
+  }
+  return placeOn(game, map, 'monster', monster);
+}
+
+/**
+ * The ids of the live games played on a map: it is their active map or
+ * a player or monster is on it.  Only games in memory are checked, so
+ * saved games nobody has loaded since the server started are not
+ * read back from storage.
+ * @param {string} mapId
+ * @returns {string[]}
+ */
+export function gamesOnMap(mapId) {
+  return models.liveGames()
+    .filter((game) => {
+      const entities = [...game.players.values(), ...game.monsters.values()];
+      return game.mapId === mapId || entities.some((e) => e.mapId === mapId);
+    })
+    .map((game) => game.id);
+}
+
+/**
+ * Move the creatures a change to a map left stranded—off its edge, on a
+ * square they cannot stand on or on another creature—to the free square
+ * nearest where they stood (corpses only when off the edge).  A
+ * creature with no free square left is taken off the map.  Records a
+ * `displaced` event for each.  Call after a map is edited and before
+ * its games are sent the new state.
+ * @param {string} mapId
+ * @returns {string[]} ids of the games whose creatures moved
+ */
+export function settleTokens(mapId) {
+  const map = getMap(mapId);
+  if (!map) return [];
+  const { width, height } = map.dimensions;
+  const changed = [];
+  for (const gameId of gamesOnMap(mapId)) {
+    const game = models.getGame(gameId);
+    const entities = [
+      ...Array.from(game.players.values()).map((p) => ['player', p]),
+      ...Array.from(game.monsters.values()).map((m) => ['monster', m]),
+    ];
+    for (const [kind, entity] of entities) {
+      const { position } = entity;
+      if (!position || (entity.mapId || game.mapId) !== mapId) continue;
+      const onMap = position.x >= 0 && position.y >= 0 && position.x < width && position.y < height;
+      const stranded = entity.status === 'dead' ? !onMap : !isFree(game, map, position.x, position.y, entity);
+      if (!stranded) continue;
+      const from = { x: position.x, y: position.y };
+      delete entity.position;
+      const clamped = { x: Math.min(Math.max(from.x, 0), width - 1), y: Math.min(Math.max(from.y, 0), height - 1) };
+      const to = nearestFree(game, map, clamped, entity);
+      if (to) {
+        entity.position = to;
+      } else {
+        delete entity.mapId;
+      }
+      if (kind === 'player') lookAround(game, entity);
+      const event = { type: 'displaced', actor: kind === 'player' ? playerRef(entity) : monsterRef(entity), from, to };
+      if (kind === 'monster') event.seenBy = witnesses(game, mapId, to ? [from, to] : [from]);
+      models.recordEvent(gameId, event);
+      if (!changed.includes(gameId)) changed.push(gameId);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Make a map the game's active map and move the party there: every
+ * player with a character is placed on it, as are monsters not yet on
+ * any map.  Monsters on other maps stay where they are.  Records a
+ * `mapSelected` event.  Throws if the map does not exist.
+ * @param {string} gameId
+ * @param {string} mapId
+ * @returns {{id: string, name: string}}
+ */
+export function selectMap(gameId, mapId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const map = getMap(mapId);
+  if (!map) {
+    throw new Error(`Map ${mapId} does not exist`);
+  }
+  game.mapId = mapId;
+  for (const player of game.players.values()) {
+    delete player.position;
+    delete player.mapId;
+  }
+  for (const player of game.players.values()) {
+    if (player.character) placePlayer(game, player);
+  }
+  for (const monster of game.monsters.values()) {
+    if (monster.status !== 'dead' && !monster.mapId) placeMonster(game, monster);
+  }
+  models.recordEvent(gameId, { type: 'mapSelected', map: { id: map.id, name: map.name } });
+  return { id: map.id, name: map.name };
+}
+
+/**
+ * The cheapest route for a creature from its square to another, around
+ * impassable tiles and other living creatures.  With `range` the route
+ * ends within that many squares of `to`.
+ * @param {object} game
+ * @param {object} map
+ * @param {object|null} self the moving player or monster, whose own
+ *   square does not block
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {{range?: number}} [options]
+ * @returns {{path: Array<{x: number, y: number}>, cost: number}|null}
+ */
+export function findRoute(game, map, self, from, to, options = {}) {
+  const occupied = new Set(tokens(game, map.id)
+    .filter(([, e]) => e !== self)
+    .map(([, e]) => `${e.position.x},${e.position.y}`));
+  const modes = movementModes(self);
+  return findPath(map, from, to, {
+    cost: (tile) => tileCost(tile, modes),
+    blocked: (x, y) => occupied.has(`${x},${y}`),
+    diagonals: map.diagonals,
+    range: options.range,
+  });
+}
+
+/**
+ * Plan a route on a map for a preview: the path and its cost in
+ * squares of movement.  With a game the route goes around that game's
+ * creatures, except one standing on the start square.  Returns null
+ * when the map does not exist or no route leads there.
+ * @param {string} mapId
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @param {{gameId?: string}} [options]
+ * @returns {{path: Array<{x: number, y: number}>, cost: number, feet: number}|null}
+ */
+export function planRoute(mapId, from, to, options = {}) {
+  const map = getMap(mapId);
+  if (!map) return null;
+  const game = options.gameId ? models.getGame(options.gameId) : null;
+  const route = game
+    ? findRoute(game, map, occupantAt(game, from.x, from.y, map.id), from, to)
+    : findPath(map, from, to, { cost: (tile) => tileCost(tile), diagonals: map.diagonals });
+  return route ? { ...route, feet: route.cost * FEET_PER_SQUARE } : null;
+}
+
+/**
+ * A creature's movement rate in feet.
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity
+ * @returns {number}
+ */
+export function movementRate(kind, entity) {
+  if (kind === 'monster') {
+    const rules = monsterRules[entity.type] || {};
+    return rules.movement || DEFAULT_MOVEMENT;
+  }
+  return (entity.character && entity.character.movement) || DEFAULT_MOVEMENT;
+}
+
+/**
+ * Squares a creature may still move now: the rest of its encounter
+ * movement on its turn, or its full rate outside encounters.
+ * @param {object} game
+ * @param {string} kind
+ * @param {object} entity
+ * @returns {number}
+ */
+export function movementLeft(game, kind, entity) {
+  const rate = movementRate(kind, entity);
+  if (!game.encounter) return Math.floor(rate / FEET_PER_SQUARE);
+  return Math.floor(rate / 3 / FEET_PER_SQUARE) - (game.encounter.moved || 0);
+}
+
+/**
+ * Move a player or monster to a square of the map it is on.  Checks
+ * that the creature can act, that the square is passable and free and
+ * that it is within the creature's movement.  Records a `move` event.
+ * A player then meets the traps along the way and, stopping on an exit,
+ * goes through it (see `useExit`) once it is open.
+ * @param {string} gameId
+ * @param {string} kind 'player' or 'monster'
+ * @param {string} id player id or monster instance id
+ * @param {{x: number, y: number}} to
+ * @returns {{message: string, position: object, event: object, transition?: object}}
+ */
+export function moveTo(gameId, kind, id, to) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const entity = kind === 'player' ? game.players.get(id) : game.monsters.get(id);
+  if (!entity) {
+    throw new Error(`${kind === 'player' ? 'Player' : 'Monster'} not found in this game`);
+  }
+  const map = mapOf(game, entity);
+  if (!map) {
+    throw new Error('No map has been selected for this game');
+  }
+  if (kind === 'player') {
+    if (!entity.character) throw new Error('Create a character first');
+    assertCanAct(entity);
+  } else if (entity.status === 'dead' || isDown(entity)) {
+    throw new Error(`The ${entity.type} cannot move`);
+  }
+  const x = Number(to && to.x);
+  const y = Number(to && to.y);
+  if (!Number.isInteger(x) || !Number.isInteger(y)) {
+    throw new Error('A move needs whole-number x and y coordinates');
+  }
+  if (!isPassable(map, x, y, movementModes(entity))) {
+    throw new Error(`Square ${x},${y} cannot be entered`);
+  }
+  const occupant = occupantAt(game, x, y, map.id);
+  if (occupant && occupant !== entity) {
+    throw new Error(`Square ${x},${y} is occupied`);
+  }
+  const from = entity.position || placeOn(game, map, kind, entity);
+  if (!from) {
+    throw new Error(`There is no free square on ${map.name} to place ${kind === 'player' ? entity.name : `the ${entity.type}`}`);
+  }
+  if (from.x === x && from.y === y) {
+    throw new Error(`Already on square ${x},${y}`);
+  }
+  const route = findRoute(game, map, entity, from, { x, y });
+  if (!route) {
+    throw new Error(`There is no way through to square ${x},${y}`);
+  }
+  const left = movementLeft(game, kind, entity);
+  if (route.cost > left) {
+    throw new Error(`That takes ${route.cost * FEET_PER_SQUARE}' of movement; only ${Math.max(0, left) * FEET_PER_SQUARE}' left`);
+  }
+  const exit = kind === 'player' ? exitAt(map, x, y) : null;
+  if (exit && !getMap(exit.map)) {
+    throw new Error(`The way at ${x},${y} leads to map ${exit.map}, which does not exist`);
+  }
+  const moved = step(gameId, game, kind, entity, from, route);
+  const messages = [moved.message];
+  if (kind === 'player') messages.push(...resolveTraps(gameId, game, map, entity, route.path));
+  if (kind === 'player' && !game.encounter) passTime(gameId, route.cost * ROUNDS_PER_SQUARE);
+  if (!exit || isDown(entity.character)) return { ...moved, message: messages.join(' ') };
+  const lock = openExit(gameId, game, map, entity, exit);
+  if (lock) messages.push(lock.message);
+  if (lock && !lock.check.success) return { ...moved, message: messages.join(' ') };
+  const transition = useExit(gameId, entity, exit);
+  return {
+    message: `${messages.join(' ')} ${transition.message}`,
+    position: entity.position,
+    event: moved.event,
+    transition,
+  };
+}
+
+// Let game time pass outside encounters: conditions tick down and the
+// dying bleed
+function passTime(gameId, rounds) {
+  tickConditions(gameId, rounds);
+  bleed(gameId, rounds);
+}
+
+// Key of a square in the game's lists of opened exits and resolved traps
+function squareKey(map, x, y) {
+  return `${map.id}:${x},${y}`;
+}
+
+// Roll a `skillCheck` requirement of a map feature for a player
+function featureCheck(gameId, player, requirement, source) {
+  const { skill, modifier } = typeof requirement === 'string' ? { skill: requirement } : requirement;
+  return skillCheck(gameId, player.id, skill, { modifier, source });
+}
+
+// Try to open an exit that needs a skill check.  Returns null when the
+// exit needs none or is already open, otherwise the check.
+function openExit(gameId, game, map, player, exit) {
+  const key = squareKey(map, exit.x, exit.y);
+  if (!exit.skillCheck || (game.openedExits || []).includes(key)) return null;
+  const { message, check } = featureCheck(gameId, player, exit.skillCheck, exit.name || 'the way on');
+  if (!check.success) return { check, message: `${message} The way stays shut.` };
+  if (!game.openedExits) game.openedExits = [];
+  game.openedExits.push(key);
+  return { check, message };
+}
+
+// Spring or disarm the traps a player walked onto along a route, in
+// order, until the player goes down.  Returns the log messages.
+function resolveTraps(gameId, game, map, player, path) {
+  const messages = [];
+  for (const point of path.slice(1)) {
+    if (isDown(player.character)) break;
+    const trap = (map.traps || []).find((t) => t.x === point.x && t.y === point.y);
+    const key = trap ? squareKey(map, trap.x, trap.y) : null;
+    if (!trap || (game.resolvedTraps || []).includes(key)) continue;
+    if (!game.resolvedTraps) game.resolvedTraps = [];
+    game.resolvedTraps.push(key);
+    const name = trap.name || 'trap';
+    const found = trap.skillCheck ? featureCheck(gameId, player, trap.skillCheck, name) : null;
+    if (found) messages.push(found.message);
+    let event;
+    if (found && found.check.success) {
+      event = models.recordEvent(gameId, { type: 'trapDisarmed', actor: playerRef(player), trap: { name, x: trap.x, y: trap.y } });
+    } else {
+      const roll = rollDice(trap.damage || '1d6', game.rng);
+      const damage = Math.max(0, roll.total);
+      event = models.recordEvent(gameId, { type: 'trapSprung', actor: playerRef(player), trap: { name, x: trap.x, y: trap.y }, damage, roll });
+      damageCharacter(gameId, player, damage);
+    }
+    messages.push(describeEvent(event));
+  }
+  return messages;
+}
+
+/**
+ * The exit on a square of a map, if any.
+ * @param {object} map
+ * @param {number} x
+ * @param {number} y
+ * @returns {object|null}
+ */
+export function exitAt(map, x, y) {
+  return (map.exits || []).find((e) => e.x === x && e.y === y) || null;
+}
+
+/**
+ * Take a player through an exit to the map it leads to: onto its
+ * `entry` square, else the target's start square, else the free square
+ * nearest them.  With `party` every living character on the player's
+ * map goes along and the target becomes the game's active map.  Records
+ * a `mapChanged` event.  Throws if the target map does not exist.
+ * @param {string} gameId
+ * @param {object} player
+ * @param {{map: string, entry?: {x: number, y: number}, party?: boolean}} exit
+ * @returns {{message: string, from: object, to: object, players: string[], event: object}}
+ */
+export function useExit(gameId, player, exit) {
+  const game = models.getGame(gameId);
+  const from = mapOf(game, player);
+  const target = getMap(exit.map);
+  if (!target) {
+    throw new Error(`Map ${exit.map} does not exist`);
+  }
+  const travellers = exit.party
+    ? Array.from(game.players.values()).filter((p) => p.character && !isDead(p.character) && p.mapId === from.id)
+    : [player];
+  const def = campaignMap(game, target);
+  const entry = exit.entry || def.start;
+  for (const traveller of travellers) {
+    delete traveller.position;
+    place(game, target, traveller, entry ? [entry] : []);
+    lookAround(game, traveller);
+  }
+  if (exit.party) game.mapId = target.id;
+  const event = models.recordEvent(gameId, {
+    type: 'mapChanged',
+    actors: travellers.map(playerRef),
+    from: { id: from.id, name: from.name },
+    to: { id: target.id, name: target.name },
+    party: !!exit.party,
+  });
+  return {
+    message: describeEvent(event),
+    from: event.from,
+    to: event.to,
+    players: travellers.map((p) => p.id),
+    event,
+  };
+}
+
+// Move a creature along a route it can afford and record the move
+function step(gameId, game, kind, entity, from, route) {
+  const to = route.path[route.path.length - 1];
+  entity.position = { x: to.x, y: to.y };
+  // Players explore everything they see along the way
+  if (kind === 'player') lookAround(game, entity, route.path);
+  if (game.encounter) game.encounter.moved = (game.encounter.moved || 0) + route.cost;
+  const move = {
+    type: 'move',
+    actor: kind === 'player' ? playerRef(entity) : monsterRef(entity),
+    from,
+    to: entity.position,
+    squares: route.cost,
+    path: route.path,
+  };
+  // Only the players who saw the monster on its way learn of the move
+  if (kind === 'monster') move.seenBy = witnesses(game, mapOf(game, entity).id, route.path);
+  const event = models.recordEvent(gameId, move);
+  return { message: describeEvent(event), position: entity.position, event };
+}
+
+/**
+ * Walk a monster towards a player until it is next to them or out of
+ * movement for the turn.  Does nothing (and returns null) when the game
+ * has no map, either has no position, they are on different maps, the
+ * monster is already adjacent or no route leads there.
+ * @param {string} gameId
+ * @param {object} monster
+ * @param {object} target player
+ * @returns {{message: string, position: object, event: object}|null}
+ */
+export function approach(gameId, monster, target) {
+  const game = models.getGame(gameId);
+  const map = mapOf(game, monster);
+  if (!map || !monster.position || !target.position || !sameMap(monster, target)) return null;
+  if (distance(monster.position, target.position) <= 1) return null;
+  const route = findRoute(game, map, monster, monster.position, target.position, { range: 1 });
+  if (!route) return null;
+  // Follow the route as far as this turn's movement allows
+  let left = movementLeft(game, 'monster', monster);
+  let cost = 0;
+  let end = 0;
+  for (let i = 1; i < route.path.length; i += 1) {
+    const c = tileCost(map.tiles[route.path[i].y][route.path[i].x], movementModes(monster));
+    if (c > left) break;
+    left -= c;
+    cost += c;
+    end = i;
+  }
+  if (end === 0) return null;
+  return step(gameId, game, 'monster', monster, monster.position, { path: route.path.slice(0, end + 1), cost });
+}
+
+/**
+ * Whether two creatures stand next to each other (or the game has no
+ * map, where distance does not matter).  Creatures on different maps or
+ * missing from the map (see `offMap`) are never in reach.
+ * @param {object} game
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function inReach(game, a, b) {
+  if (!sameMap(a, b) || offMap(game, a) || offMap(game, b)) return false;
+  return !a.position || !b.position || distance(a.position, b.position) <= 1;
+}
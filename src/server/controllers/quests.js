@@ -0,0 +1,313 @@
+// Quest controller
+//
+// Quests are defined in the campaign's `quests` array:
+//
+//   {
+//     "id": "goblin-trouble",
+//     "name": "Goblin Trouble",
+//     "description": "Drive the goblins out of the cave.",
+//     "objectives": [
+//       { "type": "reach", "location": "dark-cave" },
+//       { "type": "kill", "monster": "goblin", "count": 2 }
+//     ],
+//     "reward": { "xp": 100, "items": ["healingPotion"] }
+//   }
+//
+// Objective types and the events that advance them:
+//
+//   kill      `monsterSlain` of a `monster` type, `count` times (default 1)
+//   obtain    `itemGained` or `lootTaken` of an `item`, `count` times
+//   talk      `dialogueStarted` with an `npc` (see `dialogue.js`)
+//   dialogue  `dialogueChoice` leading to `node` of the conversation
+//             `dialogue`, i.e. taking that branch of it; without a
+//             `node`, any choice that ends the conversation
+//   reach     `locationEntered` of a `location` (see `campaign.js`)
+//
+// An objective may carry its own `description`.  Quests begin when the
+// campaign is selected, except those marked `"autoStart": false`, which
+// wait for `startQuest`.  Progress belongs to the party and counts only
+// what happens while the quest is active: the tracker listens to every
+// event recorded with `models.recordEvent`, and scripted content (see
+// `dialogue.js`) may advance an objective with `advanceQuest`.  Once
+// every objective is met the quest is completed and its reward handed
+// out—the reward XP to each living character, the reward items to the
+// player who finished it (or the first character).
+//
+// The state of each quest lives in `game.quests[questId]` as
+// `{ status: 'active' | 'completed', progress }`, with one count per
+// objective.  Changes are recorded as `questStarted`, `questProgress`
+// and `questCompleted` events and queued for the sockets to announce
+// (see `takeQuestUpdates`).
+
+import models from '../models/index.js';
+import { monsters as monsterRules, items as itemRules } from '../rules/index.js';
+import { describeEvent } from './events.js';
+import { awardExperience } from './levels.js';
+import { giveItem } from './items.js';
+import { isDead } from './health.js';
+
+// Quest changes not yet announced, by game id.  Only the latest are
+// kept for games nobody is listening to.
+const pendingUpdates = new Map();
+const MAX_PENDING_UPDATES = 100;
+
+// The quests of the game's campaign
+function questsOf(game) {
+  return (game.campaign && game.campaign.quests) || [];
+}
+
+// How many times an objective must be met
+function countOf(objective) {
+  return objective.count || 1;
+}
+
+// Whether an event advances an objective
+function advances(objective, event) {
+  switch (objective.type) {
+    case 'kill':
+      return event.type === 'monsterSlain' && event.target.name === objective.monster;
+    case 'obtain':
+      return (event.type === 'itemGained' || event.type === 'lootTaken') && event.item.id === objective.item;
+    case 'talk':
+      return event.type === 'dialogueStarted' && !!event.npc && event.npc.id === objective.npc;
+    case 'dialogue':
+      return event.type === 'dialogueChoice' && event.dialogue.id === objective.dialogue
+        && (objective.node ? event.next === objective.node : !!event.end);
+    case 'reach':
+      return event.type === 'locationEntered' && event.location.id === objective.location;
+    default:
+      return false;
+  }
+}
+
+// What an objective asks of the party
+function describeObjective(game, objective) {
+  if (objective.description) return objective.description;
+  switch (objective.type) {
+    case 'kill': {
+      const rules = monsterRules[objective.monster] || {};
+      return `Slay ${rules.name || objective.monster}`;
+    }
+    case 'obtain': {
+      const rules = itemRules[objective.item] || {};
+      return `Obtain ${rules.name || objective.item}`;
+    }
+    case 'talk':
+      return `Talk to ${npcName(game, objective.npc)}`;
+    case 'dialogue':
+      return `Finish the conversation ${objective.dialogue}`;
+    case 'reach':
+      return `Reach ${locationName(game, objective.location)}`;
+    default:
+      return objective.type;
+  }
+}
+
+// The name of a campaign NPC, looked up across its locations
+function npcName(game, npcId) {
+  for (const location of (game.campaign && game.campaign.maps) || []) {
+    const npc = (location.npcs || []).find((n) => (typeof n === 'string' ? n : n.id) === npcId);
+    if (npc) return typeof npc === 'string' ? npc : npc.name;
+  }
+  return npcId;
+}
+
+// The name of a campaign location
+function locationName(game, locationId) {
+  const location = ((game.campaign && game.campaign.maps) || []).find((l) => l.id === locationId);
+  return location ? location.name : locationId;
+}
+
+// Queue an announcement of a quest change for the game's players
+function announce(gameId, update) {
+  if (!pendingUpdates.has(gameId)) pendingUpdates.set(gameId, []);
+  const updates = pendingUpdates.get(gameId);
+  updates.push(update);
+  if (updates.length > MAX_PENDING_UPDATES) updates.shift();
+}
+
+/**
+ * Begin a quest of the game's campaign.  Records a `questStarted`
+ * event.  Throws if the quest is not part of the campaign or has
+ * already begun.
+ * @param {string} gameId
+ * @param {string} questId
+ * @returns {{message: string, event: object}}
+ */
+export function startQuest(gameId, questId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const quest = questsOf(game).find((q) => q.id === questId);
+  if (!quest) {
+    throw new Error(`Quest ${questId} is not part of this campaign`);
+  }
+  if (!game.quests) game.quests = {};
+  if (game.quests[questId]) {
+    throw new Error(`${quest.name} has already begun`);
+  }
+  game.quests[questId] = { status: 'active', progress: (quest.objectives || []).map(() => 0) };
+  const event = models.recordEvent(gameId, { type: 'questStarted', quest: { id: quest.id, name: quest.name } });
+  const message = describeEvent(event);
+  announce(gameId, { quest: event.quest, status: 'active', message });
+  return { message, event };
+}
+
+/**
+ * Begin every quest of the game's campaign that starts by itself.
+ * Called when a campaign is selected.
+ * @param {string} gameId
+ */
+export function startCampaignQuests(gameId) {
+  const game = models.getGame(gameId);
+  game.quests = {};
+  for (const quest of questsOf(game)) {
+    if (quest.autoStart !== false) startQuest(gameId, quest.id);
+  }
+}
+
+// Hand out a completed quest's reward
+function grantReward(gameId, game, quest, finisher) {
+  const reward = quest.reward || {};
+  const party = Array.from(game.players.values()).filter((p) => p.character && !isDead(p.character));
+  if (reward.xp) {
+    for (const player of party) awardExperience(gameId, player.id, reward.xp);
+  }
+  const recipient = (finisher && finisher.character && finisher) || party[0];
+  if (recipient) {
+    for (const item of reward.items || []) giveItem(gameId, recipient.id, item);
+  }
+}
+
+// Count one more towards an objective of an active quest and record a
+// `questProgress` event
+function progressObjective(gameId, game, quest, index) {
+  const state = game.quests[quest.id];
+  const objective = quest.objectives[index];
+  state.progress[index] += 1;
+  const recorded = models.recordEvent(gameId, {
+    type: 'questProgress',
+    quest: { id: quest.id, name: quest.name },
+    objective: describeObjective(game, objective),
+    progress: state.progress[index],
+    count: countOf(objective),
+  });
+  announce(gameId, {
+    quest: recorded.quest,
+    status: 'active',
+    objective: index,
+    progress: recorded.progress,
+    count: recorded.count,
+    message: describeEvent(recorded),
+  });
+}
+
+// Complete a quest whose objectives are all met and hand out its reward
+function completeIfDone(gameId, game, quest, finisher) {
+  const state = game.quests[quest.id];
+  if ((quest.objectives || []).some((o, i) => state.progress[i] < countOf(o))) return;
+  // Complete the quest before handing out the reward, whose own
+  // events are tracked in turn
+  state.status = 'completed';
+  const completed = models.recordEvent(gameId, {
+    type: 'questCompleted',
+    quest: { id: quest.id, name: quest.name },
+    reward: { xp: (quest.reward && quest.reward.xp) || 0, items: (quest.reward && quest.reward.items) || [] },
+  });
+  announce(gameId, { quest: completed.quest, status: 'completed', message: describeEvent(completed) });
+  grantReward(gameId, game, quest, finisher);
+}
+
+// Advance the active quests of a game with a recorded event
+function trackQuests(gameId, event) {
+  const game = models.getGame(gameId);
+  if (!game || !game.quests) return;
+  for (const quest of questsOf(game)) {
+    const state = game.quests[quest.id];
+    if (!state || state.status !== 'active') continue;
+    let changed = false;
+    (quest.objectives || []).forEach((objective, i) => {
+      if (state.progress[i] >= countOf(objective) || !advances(objective, event)) return;
+      progressObjective(gameId, game, quest, i);
+      changed = true;
+    });
+    if (!changed) continue;
+    const finisher = event.actor && event.actor.kind === 'player' ? game.players.get(event.actor.id) : null;
+    completeIfDone(gameId, game, quest, finisher);
+  }
+}
+
+models.onEvent(trackQuests);
+
+/**
+ * The quest changes of a game since this was last called, oldest first:
+ * `{ quest: { id, name }, status, objective?, progress?, count?, message }`.
+ * The sockets announce them as `questUpdated`.
+ * @param {string} gameId
+ * @returns {object[]}
+ */
+export function takeQuestUpdates(gameId) {
+  const updates = pendingUpdates.get(gameId) || [];
+  pendingUpdates.delete(gameId);
+  return updates;
+}
+
+/**
+ * The quest log for the game state: every quest that has begun with its
+ * status and, per objective, what it asks, the progress and whether it
+ * is done.
+ * @param {object} game
+ * @returns {object[]}
+ */
+export function questLog(game) {
+  return questsOf(game)
+    .filter((quest) => game.quests && game.quests[quest.id])
+    .map((quest) => {
+      const state = game.quests[quest.id];
+      return {
+        id: quest.id,
+        name: quest.name,
+        description: quest.description || '',
+        status: state.status,
+        objectives: (quest.objectives || []).map((objective, i) => ({
+          type: objective.type,
+          description: describeObjective(game, objective),
+          progress: state.progress[i],
+          count: countOf(objective),
+          done: state.progress[i] >= countOf(objective),
+        })),
+        reward: quest.reward || {},
+      };
+    });
+}
+
+/**
+ * Advance an objective of an active quest by one, as scripted content
+ * such as a dialogue option does, completing the quest when it was the
+ * last one left.  Without an objective index the first unmet objective
+ * advances.  Throws if the quest is not active or the objective is
+ * already met.
+ * @param {string} gameId
+ * @param {string} questId
+ * @param {number} [index] objective index
+ * @param {string} [playerId] who advanced it, rewarded the items
+ */
+export function advanceQuest(gameId, questId, index, playerId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const quest = questsOf(game).find((q) => q.id === questId);
+  const state = quest && game.quests && game.quests[questId];
+  if (!state || state.status !== 'active') {
+    throw new Error(`Quest ${questId} is not active`);
+  }
+  const objectives = quest.objectives || [];
+  const i = index === undefined ? objectives.findIndex((o, j) => state.progress[j] < countOf(o)) : index;
+  if (!objectives[i] || state.progress[i] >= countOf(objectives[i])) {
+    throw new Error(`${quest.name} has no such objective left`);
+  }
+  progressObjective(gameId, game, quest, i);
+  completeIfDone(gameId, game, quest, playerId ? game.players.get(playerId) : null);
+}
@@ -0,0 +1,162 @@
+// Saving throw controller
+//
+// Saving throws follow the classic five categories.  Characters use the
+// `savingThrows` table of their class in `rules/classes.json`; monsters
+// save by their hit dice using the `monsters` table in
+// `rules/savingThrows.json` (which also names the categories and the
+// short aliases accepted in rules files, e.g. "poison" or "spells").
+//
+// A save succeeds when a d20 plus any modifier equals or beats the
+// target number.  Characters add their WIS modifier to saves in the
+// categories marked `magic` (wands and spells), and conditions such as
+// *blessed* or *poisoned* modify every save (see `conditions.js`).
+// Spells and monster attacks may declare
+//
+//   "save": { "category": "rodsStavesOrSpells", "effect": "half" }
+//
+// in which case the target rolls a save instead of the caster or
+// monster rolling to hit; a successful save halves (`half`) or cancels
+// (`negate`) the damage.  Standalone saves are recorded as `save`
+// events; saves made against a spell or attack are stored in that
+// event's `save` field.
+
+import models from '../models/index.js';
+import { savingThrows as saveRules, monsters as monsterRules } from '../rules/index.js';
+import { rollDie } from './dice.js';
+import { modifierFor } from './abilities.js';
+import { conditionModifier } from './conditions.js';
+import { describeEvent, playerRef, monsterRef } from './events.js';
+
+const EFFECTS = ['half', 'negate'];
+
+/**
+ * Resolve a saving throw category or one of its aliases (case
+ * insensitive) to the category key.  Returns null if unknown.
+ * @param {string} name e.g. 'poison' or 'dragonBreath'
+ * @returns {string|null}
+ */
+export function saveCategory(name) {
+  const wanted = String(name || '').toLowerCase();
+  if (!wanted) return null;
+  const categories = saveRules.categories || {};
+  for (const [key, def] of Object.entries(categories)) {
+    if (key.toLowerCase() === wanted) return key;
+    if ((def.aliases || []).some((alias) => alias.toLowerCase() === wanted)) return key;
+  }
+  return null;
+}
+
+/**
+ * Saving throw targets for a creature of the given hit dice.  Hit dice
+ * below 1 use the first row (normal men).  Returns a fresh copy.
+ * @param {number} hitDice
+ * @returns {object} { [category]: number }
+ */
+export function savingThrowsForHitDice(hitDice) {
+  const rows = saveRules.monsters || [];
+  const hd = Number(hitDice) || 0;
+  const row = rows.find((r) => r.maxHitDice === null || hd <= r.maxHitDice) || rows[rows.length - 1];
+  return row ? { ...row.saves } : {};
+}
+
+/**
+ * Look up the number a player or monster must roll to save.
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity player or monster instance
+ * @param {string} category category key
+ * @returns {number}
+ */
+function saveTarget(kind, entity, category) {
+  let table;
+  if (kind === 'player') {
+    table = entity.character && entity.character.savingThrows;
+  } else {
+    const rule = monsterRules[entity.type] || {};
+    table = entity.savingThrows || savingThrowsForHitDice(rule.hitDice || 1);
+  }
+  const target = table && table[category];
+  // Characters with an incomplete table save as a normal man
+  return typeof target === 'number' ? target : savingThrowsForHitDice(0)[category];
+}
+
+/**
+ * Validate a `save` block from the rules and return it with the
+ * category resolved.  Throws for unknown categories or effects.
+ * @param {{category: string, effect: string}} save
+ * @returns {{category: string, effect: string}}
+ */
+export function resolveSave(save) {
+  const category = saveCategory(save && save.category);
+  if (!category) {
+    throw new Error(`Unknown saving throw category: ${save && save.category}`);
+  }
+  const effect = save.effect || 'negate';
+  if (!EFFECTS.includes(effect)) {
+    throw new Error(`Unknown saving throw effect: ${effect}`);
+  }
+  return { category, effect };
+}
+
+/**
+ * Roll a saving throw without recording it.  Used by spells and attacks
+ * that embed the save in their own event.  `options.modifier` is added
+ * to any WIS bonus against magic.
+ * @param {object} game
+ * @param {string} kind 'player' or 'monster'
+ * @param {object} entity player or monster instance
+ * @param {string} category category key
+ * @param {{modifier?: number}} [options]
+ * @returns {{category: string, roll: number, modifier: number, needed: number, success: boolean}}
+ */
+export function rollSave(game, kind, entity, category, options = {}) {
+  let modifier = Number(options.modifier) || 0;
+  const def = (saveRules.categories || {})[category] || {};
+  if (kind === 'player' && def.magic) {
+    modifier += modifierFor(entity.character, 'wis');
+  }
+  modifier += conditionModifier(kind === 'player' ? entity.character : entity, 'saves');
+  const needed = saveTarget(kind, entity, category);
+  const roll = rollDie(20, game.rng);
+  return { category, roll, modifier, needed, success: roll + modifier >= needed };
+}
+
+/**
+ * Apply the outcome of a save to an amount of damage.
+ * @param {number} amount
+ * @param {{effect: string}} save the `save` block of the spell or attack
+ * @param {{success: boolean}} outcome result of `rollSave`
+ * @returns {number}
+ */
+export function applySave(amount, save, outcome) {
+  if (!outcome.success) return amount;
+  return save.effect === 'half' ? Math.floor(amount / 2) : 0;
+}
+
+/**
+ * Have a player or monster make a saving throw and record it as a
+ * `save` event.  Throws if the game, creature or category is unknown.
+ * @param {string} gameId
+ * @param {string} kind 'player' or 'monster'
+ * @param {string} id playerId or monster instanceId
+ * @param {string} category category key or alias
+ * @param {{modifier?: number}} [options]
+ * @returns {{message: string, save: object, event: object}}
+ */
+export function savingThrow(gameId, kind, id, category, options = {}) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const entity = kind === 'monster' ? game.monsters.get(id) : game.players.get(id);
+  if (!entity) {
+    throw new Error(`${kind === 'monster' ? 'Monster' : 'Player'} ${id} not found`);
+  }
+  const key = saveCategory(category);
+  if (!key) {
+    throw new Error(`Unknown saving throw category: ${category}`);
+  }
+  const save = rollSave(game, kind, entity, key, options);
+  const actor = kind === 'monster' ? monsterRef(entity) : playerRef(entity);
+  const event = models.recordEvent(gameId, { type: 'save', actor, ...save });
+  return { message: describeEvent(event), save, event };
+}
@@ -0,0 +1,93 @@
+// Skills controller
+//
+// Thief skills are percentile chances from the class `abilities` table
+// in `rules/classes.json`, copied onto the character for their level as
+// `thiefSkills` (see `levels.js`).  A skill check rolls d100 and
+// succeeds on a roll at or under the chance plus any modifier.
+// Characters without the skill fail without rolling.
+//
+// Content can ask for a check with a `skillCheck` requirement, either a
+// skill name or an object with a modifier:
+//
+//   "skillCheck": "openLocks"
+//   "skillCheck": { "skill": "findTraps", "modifier": -10 }
+//
+// Dialogue options use it to branch (see `dialogue.js`); locked exits
+// and traps on maps ask for one in the same way (see `movement.js`).
+
+import models from '../models/index.js';
+import { classes as classRules } from '../rules/index.js';
+import { rollDie } from './dice.js';
+import { describeEvent, playerRef } from './events.js';
+import { assertCanAct } from './conditions.js';
+
+/**
+ * Whether any class lists a skill in its `abilities` table.
+ * @param {string} skill e.g. 'openLocks'
+ * @returns {boolean}
+ */
+export function isSkill(skill) {
+  return Object.values(classRules).some((rule) => rule.abilities && skill in rule.abilities);
+}
+
+/**
+ * A character's percent chance with a skill, or null without it.
+ * @param {object} character
+ * @param {string} skill
+ * @returns {number|null}
+ */
+export function skillChance(character, skill) {
+  const skills = (character && character.thiefSkills) || {};
+  return typeof skills[skill] === 'number' ? skills[skill] : null;
+}
+
+/**
+ * Roll a skill check for a player's character and record a
+ * `skillCheck` event.  Throws for unknown skills, missing characters
+ * and characters unable to act.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} skill
+ * @param {{modifier?: number, source?: string}} [options] modifier to
+ *   the chance and what called for the check
+ * @returns {{message: string, check: object, event: object}}
+ */
+export function skillCheck(gameId, playerId, skill, options = {}) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  const player = game.players.get(playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  if (!isSkill(skill)) {
+    throw new Error(`Unknown skill: ${skill}`);
+  }
+  assertCanAct(player);
+  const modifier = options.modifier || 0;
+  const chance = skillChance(player.character, skill);
+  const roll = chance === null ? null : rollDie(100, game.rng);
+  const success = roll !== null && roll <= chance + modifier;
+  const check = { skill, roll, chance, modifier, success };
+  const event = { type: 'skillCheck', actor: playerRef(player), ...check };
+  if (options.source) event.source = options.source;
+  const recorded = models.recordEvent(gameId, event);
+  return { message: describeEvent(recorded), check, event: recorded };
+}
+
+/**
+ * Resolve a `skillCheck` requirement from content such as a dialogue
+ * option, map feature or trap.  Returns null when there is no
+ * requirement, otherwise the check.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string|{skill: string, modifier?: number}|undefined} requirement
+ * @param {string} [source] what calls for the check, shown in the log
+ * @returns {object|null}
+ */
+export function requireSkillCheck(gameId, playerId, requirement, source) {
+  if (!requirement) return null;
+  const { skill, modifier } = typeof requirement === 'string' ? { skill: requirement } : requirement;
+  return skillCheck(gameId, playerId, skill, { modifier, source }).check;
+}
@@ -1,14 +1,41 @@
 // Spell controller
 //
 // Functions for casting spells.  Spells are defined in
-// `rules/spells.json` and may heal or damage a target.  This module
-// provides a simple implementation suitable for demonstrating spell
-// casting.  It does not handle spell slots, memorisation or
-// resistances—you can extend it to support those rules.
+// `rules/spells.json` and may heal or damage a target.  Casting follows
+// the memorisation rules: a character may only cast spells of their own
+// class, at a spell level for which the class's `spellSlots` table in
+// `rules/classes.json` grants slots at the character's level.  Each
+// character has
+//
+//   spellbook      – names of the spells they know
+//   preparedSpells – the spells memorised for the day, one entry per
+//                    slot: { name, level, expended }
+//   spellSlots     – { [spellLevel]: { total, used } }
+//
+// Casting expends one prepared copy of the spell and spends a slot of
+// its level; resting restores all of them.  Damage spells with a `save`
+// block let the target save for half or no damage instead of rolling to
+// hit (see `saves.js`); the others are aimed like missiles, adding the
+// caster's DEX modifier to the roll.  Spells whose effect names a
+// condition or gives modifiers (e.g. Bless) put a timed condition on the
+// target (see `conditions.js`).  Healing stops at the target's maximum
+// HP and a `resurrect` effect brings a dead character back to life (see
+// `health.js`).  The target must be on the caster's map, within the
+// spell's `range` (feet, "Touch" for the next square or "Self") and in
+// the caster's line of sight (see `vision.js`).  Resistances are not
+// handled yet.
 
 import models from '../models/index.js';
-import { spells as spellRules } from '../rules/index.js';
-import { rollDie } from './index.js';
+import { spells as spellRules, classes as classRules, classKey } from '../rules/index.js';
+import { rollDie, rollDice } from './dice.js';
+import { describeEvent, playerRef, monsterRef } from './events.js';
+import { resolveSave, rollSave, applySave } from './saves.js';
+import { modifierFor } from './abilities.js';
+import { applyCondition, conditionModifier } from './conditions.js';
+import { monsterSlain } from './monster.js';
+import { damageCharacter, healCharacter, healingFor, isDead, resurrect } from './health.js';
+import { sameMap, offMap, distance, mapOf, FEET_PER_SQUARE } from './movement.js';
+import { hasLineOfSight } from './vision.js';
 
 /**
  * Find a spell definition by name, ignoring class and level.  The
@@ -34,31 +61,246 @@ function findSpellByName(name) {
 }
 
 /**
- * Roll dice based on a string like "1d6+1" or "2d4".  Returns the
- * total result.  Supports optional +bonus after the dice.  Ignores
- * invalid strings.
- *
- * @param {string} notation
- * @returns {number}
+ * Find a spell in a class's spell list.  Returns the spell and its
+ * level or null if the class cannot cast it.
+ * @param {string} cls class key, e.g. 'cleric'
+ * @param {string} name
+ * @returns {{spell: object, level: number}|null}
+ */
+function findClassSpell(cls, name) {
+  const lower = name.toLowerCase();
+  const levels = spellRules[cls] || {};
+  for (const [level, list] of Object.entries(levels)) {
+    const spell = list.find((s) => s.name.toLowerCase() === lower);
+    if (spell) {
+      return { spell, level: parseInt(level, 10) };
+    }
+  }
+  return null;
+}
+
+// Throw unless a caster can reach a target with a spell: on the same
+// map, within the spell's range and in sight
+function assertInRange(game, caster, target, spell, name) {
+  const range = String(spell.range || '').trim().toLowerCase();
+  if (range === 'self') {
+    if (target !== caster) throw new Error(`${spell.name} can only be cast on yourself`);
+    return;
+  }
+  if (!sameMap(caster, target)) {
+    throw new Error(`${name} is on another map`);
+  }
+  if (offMap(game, caster) || offMap(game, target)) {
+    throw new Error(`${name} is out of range of ${spell.name}`);
+  }
+  if (!caster.position || !target.position) return;
+  const feet = range === 'touch' ? FEET_PER_SQUARE : parseInt(range, 10);
+  if (Number.isFinite(feet) && distance(caster.position, target.position) * FEET_PER_SQUARE > feet) {
+    throw new Error(`${name} is out of range of ${spell.name}`);
+  }
+  const map = mapOf(game, caster);
+  if (map && !hasLineOfSight(map, caster.position, target.position)) {
+    throw new Error(`${name} is out of sight`);
+  }
+}
+
+/**
+ * Look up the number of slots per spell level the class table grants a
+ * character of the given level.  Levels above the end of the table use
+ * its last row.
+ * @param {string} cls class key
+ * @param {number} level character level
+ * @returns {number[]} slot counts; index 0 holds first level spells
+ */
+function slotTable(cls, level) {
+  const table = (classRules[cls] && classRules[cls].spellSlots) || {};
+  const rows = Object.keys(table).map(Number).filter((n) => n <= level);
+  if (rows.length === 0) return [];
+  return table[String(Math.max(...rows))] || [];
+}
+
+/**
+ * Bring a character's spell slots in line with their class and level,
+ * keeping the number of slots already used today.  Characters of
+ * classes without spells get an empty table.  Mutates and returns the
+ * character.
+ * @param {object} character
+ * @returns {object}
+ */
+export function refreshSpellSlots(character) {
+  const cls = classKey(character.class);
+  const counts = cls ? slotTable(cls, character.level || 1) : [];
+  const previous = character.spellSlots || {};
+  const slots = {};
+  counts.forEach((total, index) => {
+    const level = String(index + 1);
+    const used = previous[level] ? Math.min(previous[level].used, total) : 0;
+    slots[level] = { total, used };
+  });
+  character.spellSlots = slots;
+  return character;
+}
+
+/**
+ * Add to a character's spellbook the class spells of every level they
+ * have slots for that are not in it yet, e.g. after gaining a level
+ * that opens a new spell level.  Mutates and returns the character.
+ * @param {object} character
+ * @returns {object}
+ */
+export function learnSpellLevels(character) {
+  const cls = classKey(character.class);
+  if (!Array.isArray(character.spellbook)) return character;
+  for (const level of Object.keys(character.spellSlots || {})) {
+    const list = (cls && spellRules[cls] && spellRules[cls][level]) || [];
+    for (const spell of list) {
+      if (!character.spellbook.includes(spell.name)) character.spellbook.push(spell.name);
+    }
+  }
+  return character;
+}
+
+/**
+ * Set up spellcasting for a new character: a spellbook with every spell
+ * of their class at the levels they have slots for, slot tracking and
+ * a default set of prepared spells (the first spells of each level).
+ * Characters that already have a spellbook keep it.
+ * @param {object} character
+ * @returns {object} the character
  */
-function rollFromNotation(notation) {
-  const match = notation.match(/(\d+)d(\d+)(\+(\d+))?/);
-  if (!match) return 0;
-  const count = parseInt(match[1], 10);
-  const sides = parseInt(match[2], 10);
-  const bonus = match[4] ? parseInt(match[4], 10) : 0;
-  let total = bonus;
-  for (let i = 0; i < count; i++) {
-    total += rollDie(sides);
-  }
-  return total;
+export function initSpellcasting(character) {
+  refreshSpellSlots(character);
+  const cls = classKey(character.class);
+  if (!Array.isArray(character.spellbook)) {
+    character.spellbook = [];
+    learnSpellLevels(character);
+  }
+  if (!Array.isArray(character.preparedSpells)) {
+    character.preparedSpells = [];
+    for (const [level, slot] of Object.entries(character.spellSlots)) {
+      const known = character.spellbook.filter((name) => {
+        const found = findClassSpell(cls, name);
+        return found && String(found.level) === level;
+      });
+      for (const name of known.slice(0, slot.total)) {
+        character.preparedSpells.push({ name, level: parseInt(level, 10), expended: false });
+      }
+    }
+  }
+  return character;
 }
 
 /**
- * Cast a spell from a player.  Supports damage and healing effects.
- * Other effects are currently ignored.  Returns a result object
- * describing the outcome.  Throws if the spell is unknown or target
- * cannot be found.
+ * Memorise spells for the day.  Every spell must be in the character's
+ * spellbook and the number of spells per level may not exceed the
+ * character's slots.  The same spell may be prepared more than once.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string[]} spellNames
+ * @returns {object} the updated character
+ */
+export function prepareSpells(gameId, playerId, spellNames) {
+  const player = models.getPlayer(gameId, playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  if (!Array.isArray(spellNames)) {
+    throw new Error('A list of spells to prepare is required');
+  }
+  const character = player.character;
+  const cls = classKey(character.class);
+  refreshSpellSlots(character);
+  const perLevel = {};
+  const prepared = spellNames.map((name) => {
+    const found = cls ? findClassSpell(cls, String(name)) : null;
+    if (!found) {
+      throw new Error(`${player.name} cannot prepare ${name}: it is not a ${character.class || 'class'} spell`);
+    }
+    if (!(character.spellbook || []).includes(found.spell.name)) {
+      throw new Error(`${found.spell.name} is not in ${player.name}'s spellbook`);
+    }
+    const slot = character.spellSlots[String(found.level)];
+    perLevel[found.level] = (perLevel[found.level] || 0) + 1;
+    if (!slot || perLevel[found.level] > slot.total) {
+      throw new Error(`${player.name} does not have enough level ${found.level} spell slots to prepare that many spells`);
+    }
+    return { name: found.spell.name, level: found.level, expended: false };
+  });
+  // Preparing replaces the day's spells; slots already used stay used
+  // until the character rests
+  character.preparedSpells = prepared;
+  models.recordEvent(gameId, { type: 'spellsPrepared', actor: playerRef(player), spells: prepared.map((s) => s.name) });
+  return character;
+}
+
+/**
+ * Restore all of a character's spell slots after a night's rest.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @returns {object} the updated character
+ */
+export function restoreSpellSlots(gameId, playerId) {
+  const player = models.getPlayer(gameId, playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  refreshSpellSlots(player.character);
+  for (const slot of Object.values(player.character.spellSlots)) {
+    slot.used = 0;
+  }
+  for (const prepared of player.character.preparedSpells || []) {
+    prepared.expended = false;
+  }
+  models.recordEvent(gameId, { type: 'rested', actor: playerRef(player) });
+  return player.character;
+}
+
+/**
+ * Check that a character may cast a spell and spend the slot.  Throws a
+ * descriptive error if the class, level, preparation or remaining slots
+ * do not allow it.
+ * @param {object} caster player casting the spell
+ * @param {string} spellName
+ * @returns {{spell: object, level: number}}
+ */
+function spendSpellSlot(caster, spellName) {
+  const character = caster.character;
+  if (!character) {
+    throw new Error(`${caster.name} has no character`);
+  }
+  const cls = classKey(character.class);
+  const found = cls ? findClassSpell(cls, spellName) : null;
+  if (!found) {
+    throw new Error(`${caster.name} cannot cast ${spellName}: it is not a ${character.class || 'class'} spell`);
+  }
+  refreshSpellSlots(character);
+  const slot = character.spellSlots[String(found.level)];
+  if (!slot || slot.total === 0) {
+    throw new Error(`${caster.name} is not high enough level to cast level ${found.level} spells`);
+  }
+  if (slot.used >= slot.total) {
+    throw new Error(`${caster.name} has no level ${found.level} spell slots left`);
+  }
+  const prepared = (character.preparedSpells || []).filter((s) => s.name === found.spell.name);
+  if (prepared.length === 0) {
+    throw new Error(`${caster.name} has not prepared ${found.spell.name}`);
+  }
+  const ready = prepared.find((s) => !s.expended);
+  if (!ready) {
+    throw new Error(`${caster.name} has already cast every prepared ${found.spell.name} today`);
+  }
+  ready.expended = true;
+  slot.used += 1;
+  return found;
+}
+
+/**
+ * Cast a spell from a player.  Supports damage, healing, resurrection
+ * and condition effects.  The caster must be allowed to
+ * cast the spell and have a slot left (see `spendSpellSlot`).  The cast
+ * is recorded as a `spell` event.  Returns a result object describing
+ * the outcome.  Throws if the spell is unknown or cannot be cast, or if
+ * the target cannot be found or is out of range or sight.
  *
  * @param {string} gameId
  * @param {string} casterId
@@ -88,25 +330,44 @@ export function castSpell(gameId, casterId, spellName, targetType, targetId) {
   if (!target) {
     throw new Error('Target not found');
   }
-  let message = '';
+  const effect = spell.effect || {};
+  if ((effect.heal || effect.resurrect) && targetType !== 'player') {
+    throw new Error('Healing spells can only target players');
+  }
+  if (targetType === 'monster' && target.status === 'dead') {
+    throw new Error(`The ${target.type} is already dead`);
+  }
+  if (targetType === 'player' && isDead(target.character) && !effect.resurrect) {
+    throw new Error(`${target.name} is dead`);
+  }
+  if (effect.resurrect && !isDead(target.character)) {
+    throw new Error(`${target.name} is not dead`);
+  }
+  assertInRange(game, caster, target, spell, targetType === 'player' ? target.name : `The ${target.type}`);
+  const saveRule = spell.save ? resolveSave(spell.save) : null;
+  // Check the caster may cast the spell and spend the slot
+  spendSpellSlot(caster, spell.name);
+  const targetRef = targetType === 'player' ? playerRef(target) : monsterRef(target);
+  const event = { type: 'spell', actor: playerRef(caster), target: targetRef, spell: spell.name };
   let result = {};
-  // Healing effect
-  if (spell.effect && spell.effect.heal) {
-    const healAmount = rollFromNotation(spell.effect.heal);
-    // Apply healing to players only
-    if (targetType !== 'player') {
-      throw new Error('Healing spells can only target players');
-    }
-    if (!target.character) {
-      target.character = { hp: 0 };
-    }
-    target.character.hp = (target.character.hp || 0) + healAmount;
-    message = `${caster.name} casts ${spell.name} on ${target.name}, healing ${healAmount} HP.`;
-    result = { caster: caster.name, target: target.name, heal: healAmount };
+  // Damage to a character, applied once the cast is in the log
+  let characterDamage = 0;
+  // Resurrection
+  if (effect.resurrect) {
+    event.effect = 'resurrect';
+    result = { caster: caster.name, target: target.name };
+  }
+  // Healing effect; healing stops at the target's maximum HP
+  else if (effect.heal) {
+    const healRoll = rollDice(effect.heal, game.rng);
+    const healAmount = healingFor(target.character, Math.max(0, healRoll.total));
+    Object.assign(event, { heal: healAmount, healRoll });
+    result = { caster: caster.name, target: target.name, heal: healAmount, healRoll };
   }
   // Damage effect
   else if (spell.effect && spell.effect.damage) {
-    const damageAmount = rollFromNotation(spell.effect.damage);
+    const damageRoll = rollDice(spell.effect.damage, game.rng);
+    const damageAmount = Math.max(0, damageRoll.total);
     // Apply damage to players or monsters
     // Determine armour class: for players we use character.ac, for monsters use monster.ac
     let targetAc;
@@ -114,44 +375,59 @@ export function castSpell(gameId, casterId, spellName, targetType, targetId) {
       const player = target;
       targetAc = (player.character && typeof player.character.ac === 'number') ? player.character.ac : 10;
     } else {
-      targetAc = target.ac || 10;
+      targetAc = (target.ac || 10) + conditionModifier(target, 'ac');
+    }
+    // Spells that allow a saving throw always reach the target, who
+    // saves against the damage.  Others roll to hit (simplistic, spells
+    // typically auto-hit but we allow a roll for demonstration).
+    let attackRoll = null;
+    let attackBonus = 0;
+    let hit;
+    let save = null;
+    if (saveRule) {
+      save = { ...rollSave(game, targetType, target, saveRule.category), effect: saveRule.effect };
+      hit = true;
+    } else {
+      attackBonus = modifierFor(caster.character, 'dex');
+      attackRoll = rollDie(20, game.rng);
+      hit = attackRoll + attackBonus >= targetAc;
     }
-    // Roll to hit (simplistic, spells typically auto-hit but we allow a roll for demonstration)
-    const attackRoll = rollDie(20);
-    const hit = attackRoll >= targetAc;
     let damageDealt = 0;
     if (hit) {
-      damageDealt = damageAmount;
+      damageDealt = save ? applySave(damageAmount, saveRule, save) : damageAmount;
       // Apply damage
       if (targetType === 'player') {
-        const player = target;
-        if (!player.character) {
-          player.character = { hp: 0 };
-        }
-        player.character.hp -= damageDealt;
-        if (player.character.hp <= 0) {
-          player.character.status = 'unconscious';
-        }
+        characterDamage = damageDealt;
       } else {
-        // Monster target
+        // Monster target; the corpse stays in the game
         target.hp -= damageDealt;
         if (target.hp <= 0) {
           target.status = 'dead';
-          // Remove dead monster from game
-          game.monsters.delete(targetId);
         }
       }
     }
     const targetName = targetType === 'player' ? target.name : target.type;
-    message = hit
-      ? `${caster.name} casts ${spell.name} and hits ${targetName} for ${damageDealt} damage.`
-      : `${caster.name} casts ${spell.name} but misses ${targetName}.`;
-    result = { caster: caster.name, target: targetName, roll: attackRoll, hit, damage: damageDealt };
+    Object.assign(event, { roll: attackRoll, attackBonus, hit, damage: damageDealt, damageRoll: hit ? damageRoll : null });
+    if (save) event.save = save;
+    result = { caster: caster.name, target: targetName, roll: attackRoll, attackBonus, hit, damage: damageDealt, damageRoll: hit ? damageRoll : null, save };
   } else {
-    message = `${caster.name} casts ${spell.name}, but nothing happens.`;
+    if (spell.effect) event.effect = 'condition';
     result = { caster: caster.name, spell: spell.name };
   }
-  // Append to game log
-  models.appendLog(gameId, message);
-  return { message, result };
+  // Record the cast in the game log
+  const recorded = models.recordEvent(gameId, event);
+  // Waking, falling, dying and returning to life follow the cast
+  if (event.heal !== undefined) healCharacter(gameId, target, event.heal);
+  if (characterDamage > 0) damageCharacter(gameId, target, characterDamage);
+  if (event.effect === 'resurrect') result.hp = resurrect(gameId, target, effect.resurrect);
+  // Buffs and debuffs follow the cast in the log
+  if (event.effect === 'condition') {
+    const source = { id: spell.name, name: spell.name, duration: spell.duration };
+    result.condition = applyCondition(gameId, targetType, target, spell.effect, source);
+  }
+  // Experience and treasure for the party
+  if (targetType === 'monster' && target.status === 'dead') {
+    result.reward = monsterSlain(gameId, target, caster);
+  }
+  return { message: describeEvent(recorded), result: { ...result, event: recorded } };
 }
\ No newline at end of file
@@ -0,0 +1,165 @@
+// Treasure controller
+//
+// Slain monsters leave treasure rolled on the table for their
+// `treasureType` in `rules/treasure.json`.  Each table lists the
+// chance (percent) of finding each kind of coin with the dice to roll
+// for the amount (times an optional `multiplier`), and the chance of
+// each item:
+//
+//   "C": {
+//     "coins": { "cp": { "chance": 40, "roll": "2d6", "multiplier": 10 } },
+//     "items": [ { "chance": 10, "item": "healingPotion" } ]
+//   }
+//
+// Treasure goes into the game's loot pile (`game.loot`) rather than to
+// whoever struck the killing blow.  Once the fight is over players take
+// items from the pile and divide the coins evenly between the party.
+
+import models from '../models/index.js';
+import { treasure as treasureRules, items as itemRules } from '../rules/index.js';
+import { rollDie, rollDice } from './dice.js';
+import { describeEvent, playerRef } from './events.js';
+import { isDead } from './health.js';
+
+// Coin denominations, smallest first
+export const COINS = ['cp', 'sp', 'ep', 'gp', 'pp'];
+
+// The game's loot pile; games saved before loot existed get an empty one
+function lootPile(game) {
+  if (!game.loot) game.loot = { coins: {}, items: [] };
+  return game.loot;
+}
+
+/**
+ * Roll treasure on a treasure type table.  Throws for unknown types.
+ * @param {object} game
+ * @param {string} type treasure type, e.g. 'C'
+ * @returns {{coins: object, items: string[]}} coins by denomination and item ids
+ */
+export function rollTreasure(game, type) {
+  const table = treasureRules[type];
+  if (!table) {
+    throw new Error(`Unknown treasure type: ${type}`);
+  }
+  const coins = {};
+  for (const coin of COINS) {
+    const entry = table.coins && table.coins[coin];
+    if (!entry || rollDie(100, game.rng) > entry.chance) continue;
+    coins[coin] = rollDice(entry.roll, game.rng).total * (entry.multiplier || 1);
+  }
+  const items = [];
+  for (const entry of table.items || []) {
+    if (rollDie(100, game.rng) <= entry.chance) items.push(entry.item);
+  }
+  return { coins, items };
+}
+
+/**
+ * Add treasure to the loot pile and record a `treasureFound` event.
+ * Records nothing when the treasure is empty.
+ * @param {string} gameId
+ * @param {object} source participant reference of whoever carried it
+ * @param {{coins: object, items: string[]}} treasure
+ * @returns {object|null} the recorded event
+ */
+export function addLoot(gameId, source, treasure) {
+  const game = models.getGame(gameId);
+  const pile = lootPile(game);
+  if (Object.keys(treasure.coins).length === 0 && treasure.items.length === 0) return null;
+  for (const [coin, amount] of Object.entries(treasure.coins)) {
+    pile.coins[coin] = (pile.coins[coin] || 0) + amount;
+  }
+  pile.items.push(...treasure.items);
+  return models.recordEvent(gameId, {
+    type: 'treasureFound',
+    source,
+    coins: treasure.coins,
+    items: treasure.items.map((id) => ({ id, name: itemRules[id] ? itemRules[id].name : id })),
+  });
+}
+
+// Find the game or throw; loot waits until the fighting is over
+function gameForLoot(gameId) {
+  const game = models.getGame(gameId);
+  if (!game) {
+    throw new Error(`Game ${gameId} does not exist`);
+  }
+  if (game.encounter) {
+    throw new Error('The loot can be shared out once the encounter is over');
+  }
+  return game;
+}
+
+/**
+ * Take an item from the loot pile into a player's inventory.  Records a
+ * `lootTaken` event.  Throws if the item is not in the pile.
+ * @param {string} gameId
+ * @param {string} playerId
+ * @param {string} itemId
+ * @returns {{message: string, event: object}}
+ */
+export function takeLoot(gameId, playerId, itemId) {
+  const game = gameForLoot(gameId);
+  const player = game.players.get(playerId);
+  if (!player || !player.character) {
+    throw new Error('Player or character missing');
+  }
+  if (isDead(player.character)) {
+    throw new Error(`${player.name} is dead`);
+  }
+  const pile = lootPile(game);
+  const index = pile.items.indexOf(itemId);
+  if (index === -1) {
+    throw new Error('Item not in the loot');
+  }
+  pile.items.splice(index, 1);
+  if (!Array.isArray(player.character.inventory)) player.character.inventory = [];
+  player.character.inventory.push(itemId);
+  const item = itemRules[itemId];
+  const event = models.recordEvent(gameId, {
+    type: 'lootTaken',
+    actor: playerRef(player),
+    item: { id: itemId, name: item ? item.name : itemId },
+  });
+  return { message: describeEvent(event), event };
+}
+
+/**
+ * Divide the coins in the loot pile evenly between the players with
+ * living characters (`character.coins`).  Coins that do not divide evenly stay
+ * in the pile.  Records a `lootDivided` event.  Throws if there are no
+ * coins or nobody to share them with.
+ * @param {string} gameId
+ * @returns {{message: string, share: object, event: object}}
+ */
+export function divideLoot(gameId) {
+  const game = gameForLoot(gameId);
+  const party = Array.from(game.players.values()).filter((p) => p.character && !isDead(p.character));
+  if (party.length === 0) {
+    throw new Error('There is nobody to share the loot with');
+  }
+  const pile = lootPile(game);
+  const share = {};
+  for (const coin of COINS) {
+    const each = Math.floor((pile.coins[coin] || 0) / party.length);
+    if (each === 0) continue;
+    share[coin] = each;
+    pile.coins[coin] -= each * party.length;
+    if (pile.coins[coin] === 0) delete pile.coins[coin];
+  }
+  if (Object.keys(share).length === 0) {
+    throw new Error('There are no coins to divide');
+  }
+  for (const player of party) {
+    const purse = player.character.coins || (player.character.coins = {});
+    for (const [coin, amount] of Object.entries(share)) {
+      purse[coin] = (purse[coin] || 0) + amount;
+    }
+  }
+  const event = models.recordEvent(gameId, {
+    type: 'lootDivided',
+    party: party.map(playerRef),
+    share,
+  });
+  return { message: describeEvent(event), share, event };
+}
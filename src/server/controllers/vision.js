@@ -0,0 +1,230 @@
+// Vision controller
+//
+// Line of sight and fog of war on the map each player is on.  A player
+// sees the squares within sight range (`sightRange` squares on the map,
+// 12 by default) that a straight line from their token reaches without
+// passing through a tile marked `opaque` in `rules/tiles.json` (`rock`,
+// `house`).  Opaque squares themselves are seen when the line reaches
+// them or when they border a square in sight, so the walls of a lit
+// room or corridor show up.
+//
+// Squares a player has seen stay explored: they are kept per player and
+// map in `game.explored[playerId][mapId]`, a string with one character
+// per square (`'1'` explored), and grow whenever the player looks
+// around—on every move, along the squares walked, and whenever their
+// view of the game is built.  `viewFor` cuts the game state down to
+// what one player knows: unexplored tiles are sent as null, the map
+// carries a `fog` grid and its exits on explored squares, and monsters
+// out of sight or on other maps are left out.
+//
+// The log follows the same rule.  Events that give away where a monster
+// is (its moves, spawns and displacements) carry `seenBy`, the players
+// who saw one of the squares involved when the event was recorded (see
+// `witnesses`), and are only shown to them (see `canSeeEvent`).
+
+import models from '../models/index.js';
+import { getMap } from '../maps/index.js';
+import { tiles as tileRules } from '../rules/index.js';
+
+// Squares a player can see without a `sightRange` on the map
+const DEFAULT_SIGHT_RANGE = 12;
+
+// Fog grid values
+export const UNEXPLORED = 0;
+export const REMEMBERED = 1;
+export const VISIBLE = 2;
+
+/**
+ * Whether a tile type blocks line of sight.
+ * @param {string} tile
+ * @returns {boolean}
+ */
+export function isOpaque(tile) {
+  return !!(tileRules[tile] && tileRules[tile].opaque);
+}
+
+/**
+ * Whether there is a clear line from one square to another: no square
+ * strictly between them is opaque.  Walks the line with Bresenham's
+ * algorithm.
+ * @param {object} map
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {boolean}
+ */
+export function hasLineOfSight(map, from, to) {
+  let { x, y } = from;
+  const dx = Math.abs(to.x - x);
+  const dy = -Math.abs(to.y - y);
+  const sx = x < to.x ? 1 : -1;
+  const sy = y < to.y ? 1 : -1;
+  let err = dx + dy;
+  for (;;) {
+    if (x === to.x && y === to.y) return true;
+    if (!(x === from.x && y === from.y) && isOpaque(map.tiles[y][x])) return false;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+}
+
+/**
+ * The squares visible from a square, as indices `y * width + x`.
+ * @param {object} map
+ * @param {{x: number, y: number}} from
+ * @returns {Set<number>}
+ */
+export function visibleFrom(map, from) {
+  const { width, height } = map.dimensions;
+  const range = typeof map.sightRange === 'number' ? map.sightRange : DEFAULT_SIGHT_RANGE;
+  const seen = new Set();
+  for (let y = Math.max(0, from.y - range); y <= Math.min(height - 1, from.y + range); y += 1) {
+    for (let x = Math.max(0, from.x - range); x <= Math.min(width - 1, from.x + range); x += 1) {
+      const dx = x - from.x;
+      const dy = y - from.y;
+      if (dx * dx + dy * dy > range * range) continue;
+      if (hasLineOfSight(map, from, { x, y })) seen.add(y * width + x);
+    }
+  }
+  // Walls bordering the open squares in sight
+  for (const i of Array.from(seen)) {
+    const x = i % width;
+    const y = (i - x) / width;
+    if (isOpaque(map.tiles[y][x])) continue;
+    for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny += 1) {
+      for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx += 1) {
+        if (isOpaque(map.tiles[ny][nx])) seen.add(ny * width + nx);
+      }
+    }
+  }
+  return seen;
+}
+
+// The map a player is on, or the game's active map before they are placed
+function mapOfPlayer(game, player) {
+  const id = player.mapId || game.mapId;
+  return id ? getMap(id) : null;
+}
+
+// The explored string of a player on a map, created on first use
+function exploredOf(game, playerId, map) {
+  if (!game.explored) game.explored = {};
+  if (!game.explored[playerId]) game.explored[playerId] = {};
+  const size = map.dimensions.width * map.dimensions.height;
+  const current = game.explored[playerId][map.id];
+  return current && current.length === size ? current : '0'.repeat(size);
+}
+
+/**
+ * Look around from one or more squares and mark what a player sees as
+ * explored.  Returns the squares visible from the last one.
+ * @param {object} game
+ * @param {object} player
+ * @param {Array<{x: number, y: number}>} [squares] defaults to the
+ *   player's position
+ * @returns {Set<number>}
+ */
+export function lookAround(game, player, squares) {
+  const map = mapOfPlayer(game, player);
+  const points = squares || (player.position ? [player.position] : []);
+  if (!map || points.length === 0) return new Set();
+  const explored = exploredOf(game, player.id, map).split('');
+  let seen = new Set();
+  for (const point of points) {
+    seen = visibleFrom(map, point);
+    for (const i of seen) explored[i] = '1';
+  }
+  const updated = explored.join('');
+  // Only newly explored squares need writing to storage
+  if (game.explored[player.id][map.id] !== updated) {
+    game.explored[player.id][map.id] = updated;
+    models.saveGame(game.id);
+  }
+  return seen;
+}
+
+/**
+ * The players on a map who see at least one of the given squares from
+ * where they stand.  Squares off the map are ignored.
+ * @param {object} game
+ * @param {string} mapId
+ * @param {Array<{x: number, y: number}>} squares
+ * @returns {string[]} player ids
+ */
+export function witnesses(game, mapId, squares) {
+  const map = getMap(mapId);
+  if (!map) return [];
+  const { width, height } = map.dimensions;
+  const indices = squares
+    .filter(({ x, y }) => x >= 0 && y >= 0 && x < width && y < height)
+    .map(({ x, y }) => y * width + x);
+  const ids = [];
+  for (const player of game.players.values()) {
+    if (!player.position || (player.mapId || game.mapId) !== mapId) continue;
+    const visible = visibleFrom(map, player.position);
+    if (indices.some((i) => visible.has(i))) ids.push(player.id);
+  }
+  return ids;
+}
+
+/**
+ * Whether a player may see an event of the log: events with `seenBy`
+ * are shown only to the players listed there, other events to everyone.
+ * Without a player only events without `seenBy` are shown.
+ * @param {string|undefined} playerId
+ * @param {object} event
+ * @returns {boolean}
+ */
+export function canSeeEvent(playerId, event) {
+  return !event.seenBy || (playerId !== undefined && event.seenBy.includes(playerId));
+}
+
+/**
+ * Cut a game state down to what one player knows.  When the player is on
+ * a map the state gains a `map` with the tiles the player has explored
+ * (others null), a `fog` grid of `UNEXPLORED`, `REMEMBERED` and
+ * `VISIBLE` per square and the `exits` on explored squares, and only
+ * monsters on visible squares of that map are kept.  Without a map the
+ * state is returned unchanged.
+ * @param {object} game
+ * @param {string} playerId
+ * @param {object} state the full state from `getGameState`
+ * @returns {object}
+ */
+export function viewFor(game, playerId, state) {
+  const player = game.players.get(playerId);
+  const map = player ? mapOfPlayer(game, player) : null;
+  if (!map || !player) return state;
+  const { width, height } = map.dimensions;
+  const visible = lookAround(game, player);
+  const explored = exploredOf(game, playerId, map);
+  const fog = [];
+  const tiles = [];
+  for (let y = 0; y < height; y += 1) {
+    const fogRow = [];
+    const tileRow = [];
+    for (let x = 0; x < width; x += 1) {
+      const i = y * width + x;
+      const level = visible.has(i) ? VISIBLE : explored[i] === '1' ? REMEMBERED : UNEXPLORED;
+      fogRow.push(level);
+      tileRow.push(level === UNEXPLORED ? null : map.tiles[y][x]);
+    }
+    fog.push(fogRow);
+    tiles.push(tileRow);
+  }
+  const seen = (m) => !!m.position && m.mapId === map.id && visible.has(m.position.y * width + m.position.x);
+  const exits = (map.exits || [])
+    .filter((e) => explored[e.y * width + e.x] === '1')
+    .map(({ x, y, map: to }) => ({ x, y, map: to }));
+  return {
+    ...state,
+    map: { id: map.id, name: map.name, biome: map.biome, dimensions: map.dimensions, tiles, fog, exits },
+    monsters: state.monsters.filter(seen),
+  };
+}
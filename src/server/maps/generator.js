@@ -0,0 +1,366 @@
+// Map generator
+//
+// Builds new maps in the same JSON format as the files in `maps/`, from
+// a size, a seed and a biome.  The same seed always gives the same map.
+// Each biome uses one of three styles:
+//
+//   rooms  – rectangular rooms joined by corridors, with doors where
+//            corridors enter rooms (`dungeon`)
+//   caves  – cellular automata smoothing random rock into caverns; only
+//            the largest cavern is kept (`cave`)
+//   noise  – layered value noise cut into bands of tiles, e.g. water,
+//            sand, grass, forest and mountains (`overworld`,
+//            `underwater`, `sky`, `space`, `otherdimension`)
+//
+// Besides `tiles` a generated map lists the features it placed, all as
+// `{ x, y }` squares on the walkable area around the start:
+//
+//   start        where players are placed (see `movement.js`)
+//   stairs       `{ up, down }`; up on the start square, down as far
+//                from it as possible (tiles `stairsUp` / `stairsDown`)
+//   doors        door tiles (rooms only)
+//   spawnPoints  where monsters are placed, away from the start
+//   treasure     treasure markers for the DM
+//
+// and `seed`, so it can be generated again.  Stairs become `exits` to
+// other maps when the options name them (`up` and `down`, see
+// `movement.js`), so generated levels can be chained into a dungeon.
+
+import { createRng, nextFloat } from '../models/rng.js';
+import { tiles as tileRules } from '../rules/index.js';
+
+export const MIN_SIZE = 8;
+export const MAX_SIZE = 200;
+
+// Tile bands of the noise biomes: the first band whose limit is above
+// the noise value (0–1) gives the tile
+const BIOMES = {
+  dungeon: { style: 'rooms' },
+  cave: { style: 'caves' },
+  overworld: {
+    style: 'noise',
+    bands: [[0.3, 'water'], [0.36, 'sand'], [0.62, 'grass'], [0.8, 'forest'], [1, 'rock']],
+  },
+  underwater: {
+    style: 'noise',
+    bands: [[0.45, 'water'], [0.75, 'sand'], [1, 'coral']],
+  },
+  sky: {
+    style: 'noise',
+    bands: [[0.45, 'sky'], [0.6, 'cloud'], [1, 'island']],
+  },
+  space: {
+    style: 'noise',
+    bands: [[0.4, 'void'], [0.7, 'station'], [1, 'asteroid']],
+  },
+  otherdimension: {
+    style: 'noise',
+    bands: [[0.35, 'void'], [0.97, 'floor'], [1, 'portal']],
+  },
+};
+
+export const GENERATED_BIOMES = Object.keys(BIOMES);
+
+// Random integer in [min, max]
+function randInt(rng, min, max) {
+  return min + Math.floor(nextFloat(rng) * (max - min + 1));
+}
+
+// A width × height grid filled with one tile
+function grid(width, height, tile) {
+  return Array.from({ length: height }, () => Array(width).fill(tile));
+}
+
+// Whether a walker without swimming or flying can stand on a tile
+function walkable(tile) {
+  const rule = tileRules[tile];
+  return !rule || (rule.passable && !rule.requires);
+}
+
+// Connected walkable areas (orthogonal steps), largest first, as lists
+// of `{ x, y }`
+function regions(tiles) {
+  const height = tiles.length;
+  const width = tiles[0].length;
+  const seen = new Uint8Array(width * height);
+  const found = [];
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (seen[y * width + x] || !walkable(tiles[y][x])) continue;
+      const region = [];
+      const queue = [{ x, y }];
+      seen[y * width + x] = 1;
+      while (queue.length > 0) {
+        const p = queue.pop();
+        region.push(p);
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const nx = p.x + dx;
+          const ny = p.y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          if (seen[ny * width + nx] || !walkable(tiles[ny][nx])) continue;
+          seen[ny * width + nx] = 1;
+          queue.push({ x: nx, y: ny });
+        }
+      }
+      found.push(region);
+    }
+  }
+  return found.sort((a, b) => b.length - a.length);
+}
+
+// Steps from `start` to every square of its region (orthogonal), keyed
+// by "x,y"
+function distancesFrom(tiles, start) {
+  const distances = new Map([[`${start.x},${start.y}`, 0]]);
+  const queue = [start];
+  for (let i = 0; i < queue.length; i += 1) {
+    const p = queue[i];
+    const d = distances.get(`${p.x},${p.y}`);
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      const nx = p.x + dx;
+      const ny = p.y + dy;
+      const key = `${nx},${ny}`;
+      if (!tiles[ny] || tiles[ny][nx] === undefined || distances.has(key) || !walkable(tiles[ny][nx])) continue;
+      distances.set(key, d + 1);
+      queue.push({ x: nx, y: ny });
+    }
+  }
+  return distances;
+}
+
+// Pick `count` different squares from a list
+function pick(rng, squares, count) {
+  const pool = squares.slice();
+  const chosen = [];
+  while (chosen.length < count && pool.length > 0) {
+    chosen.push(pool.splice(randInt(rng, 0, pool.length - 1), 1)[0]);
+  }
+  return chosen;
+}
+
+// Rooms joined by L-shaped corridors.  Returns the tiles, the rooms and
+// the doors.
+function roomsAndCorridors(rng, width, height) {
+  const tiles = grid(width, height, 'rock');
+  const rooms = [];
+  const attempts = Math.max(10, Math.floor((width * height) / 20));
+  for (let i = 0; i < attempts; i += 1) {
+    const w = randInt(rng, 3, Math.min(9, width - 4));
+    const h = randInt(rng, 3, Math.min(7, height - 4));
+    const x = randInt(rng, 1, width - w - 2);
+    const y = randInt(rng, 1, height - h - 2);
+    // Keep a wall between rooms
+    const overlaps = rooms.some((r) => x <= r.x + r.w && x + w >= r.x && y <= r.y + r.h && y + h >= r.y);
+    if (overlaps) continue;
+    rooms.push({ x, y, w, h });
+    for (let ry = y; ry < y + h; ry += 1) {
+      for (let rx = x; rx < x + w; rx += 1) tiles[ry][rx] = 'floor';
+    }
+  }
+  const centre = (r) => ({ x: r.x + Math.floor(r.w / 2), y: r.y + Math.floor(r.h / 2) });
+  // Carve a straight corridor between two squares in a row or column
+  const carve = (a, b) => {
+    for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y += 1) {
+      for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x += 1) {
+        if (tiles[y][x] === 'rock') tiles[y][x] = 'corridor';
+      }
+    }
+  };
+  for (let i = 1; i < rooms.length; i += 1) {
+    const a = centre(rooms[i - 1]);
+    const b = centre(rooms[i]);
+    const corner = nextFloat(rng) < 0.5 ? { x: b.x, y: a.y } : { x: a.x, y: b.y };
+    carve(a, corner);
+    carve(corner, b);
+  }
+  // A door where a corridor square touches a room through a gap in its wall
+  const inRoom = (x, y) => rooms.some((r) => x >= r.x && x < r.x + r.w && y >= r.y && y < r.y + r.h);
+  const doors = [];
+  for (let y = 1; y < height - 1; y += 1) {
+    for (let x = 1; x < width - 1; x += 1) {
+      if (tiles[y][x] !== 'corridor') continue;
+      const touchesRoom = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) => inRoom(x + dx, y + dy));
+      const walls = (tiles[y][x - 1] === 'rock' && tiles[y][x + 1] === 'rock')
+        || (tiles[y - 1][x] === 'rock' && tiles[y + 1][x] === 'rock');
+      // One door per doorway, even where a corridor is two squares long
+      const nextToDoor = doors.some((d) => Math.abs(d.x - x) + Math.abs(d.y - y) === 1);
+      if (touchesRoom && walls && !nextToDoor) {
+        tiles[y][x] = 'door';
+        doors.push({ x, y });
+      }
+    }
+  }
+  for (const row of tiles) {
+    for (let x = 0; x < width; x += 1) if (row[x] === 'corridor') row[x] = 'floor';
+  }
+  return { tiles, rooms, doors };
+}
+
+// Random rock smoothed into caverns by the 4-5 rule; squares outside
+// the largest cavern are filled in and a few pools are added
+function caves(rng, width, height) {
+  let tiles;
+  for (let attempt = 0; attempt < 10; attempt += 1) {
+    tiles = grid(width, height, 'rock');
+    for (let y = 1; y < height - 1; y += 1) {
+      for (let x = 1; x < width - 1; x += 1) tiles[y][x] = nextFloat(rng) < 0.45 ? 'rock' : 'floor';
+    }
+    for (let step = 0; step < 5; step += 1) {
+      const next = grid(width, height, 'rock');
+      for (let y = 1; y < height - 1; y += 1) {
+        for (let x = 1; x < width - 1; x += 1) {
+          let rock = 0;
+          for (let dy = -1; dy <= 1; dy += 1) {
+            for (let dx = -1; dx <= 1; dx += 1) if (tiles[y + dy][x + dx] === 'rock') rock += 1;
+          }
+          next[y][x] = rock >= 5 ? 'rock' : 'floor';
+        }
+      }
+      tiles = next;
+    }
+    const [largest] = regions(tiles);
+    if (largest && largest.length >= width * height * 0.25) break;
+  }
+  const [largest = []] = regions(tiles);
+  const keep = new Set(largest.map((p) => `${p.x},${p.y}`));
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (tiles[y][x] === 'floor' && !keep.has(`${x},${y}`)) tiles[y][x] = 'rock';
+    }
+  }
+  // Pools only in open floor, so they never cut the cavern in two
+  for (const p of largest) {
+    let open = true;
+    for (let dy = -1; dy <= 1 && open; dy += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) if (tiles[p.y + dy][p.x + dx] !== 'floor') open = false;
+    }
+    if (open && nextFloat(rng) < 0.04) tiles[p.y][p.x] = 'water';
+  }
+  return { tiles };
+}
+
+// Value noise: random values on coarse lattices, smoothly interpolated
+// and added up over several octaves, scaled to 0–1
+function noise(rng, width, height) {
+  const values = grid(width, height, 0);
+  let total = 0;
+  for (let cell = Math.max(width, height) / 2, weight = 1; cell >= 2; cell /= 2, weight /= 2) {
+    const cols = Math.ceil(width / cell) + 2;
+    const rows = Math.ceil(height / cell) + 2;
+    const lattice = Array.from({ length: rows }, () => Array.from({ length: cols }, () => nextFloat(rng)));
+    const smooth = (t) => t * t * (3 - 2 * t);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const gx = Math.floor(x / cell);
+        const gy = Math.floor(y / cell);
+        const tx = smooth(x / cell - gx);
+        const ty = smooth(y / cell - gy);
+        const top = lattice[gy][gx] * (1 - tx) + lattice[gy][gx + 1] * tx;
+        const bottom = lattice[gy + 1][gx] * (1 - tx) + lattice[gy + 1][gx + 1] * tx;
+        values[y][x] += (top * (1 - ty) + bottom * ty) * weight;
+      }
+    }
+    total += weight;
+  }
+  // Stretch to the full range so the bands are all used
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of values) {
+    for (const v of row) {
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+  }
+  const span = max - min || total;
+  return values.map((row) => row.map((v) => (v - min) / span));
+}
+
+function noiseBiome(rng, width, height, bands) {
+  const values = noise(rng, width, height);
+  const tiles = values.map((row) => row.map((v) => (bands.find(([limit]) => v < limit) || bands[bands.length - 1])[1]));
+  return { tiles };
+}
+
+/**
+ * Generate a map.  Throws for unknown biomes and sizes outside
+ * `MIN_SIZE`–`MAX_SIZE`.
+ * @param {object} [options]
+ * @param {number} [options.width] default 40
+ * @param {number} [options.height] default 40
+ * @param {number|string} [options.seed] default random
+ * @param {string} [options.biome] one of `GENERATED_BIOMES`, default 'dungeon'
+ * @param {string} [options.id] default `<biome>-<seed>`
+ * @param {string} [options.name]
+ * @param {string|object} [options.up] where the up stairs lead: a map
+ *   id or an exit target `{ map, entry?, party? }`
+ * @param {string|object} [options.down] where the down stairs lead
+ * @returns {object} the map
+ */
+export function generateMap(options = {}) {
+  const width = Number(options.width || 40);
+  const height = Number(options.height || 40);
+  const biome = options.biome || 'dungeon';
+  const def = BIOMES[biome];
+  if (!def) {
+    throw new Error(`Unknown biome: ${biome}; choose one of ${GENERATED_BIOMES.join(', ')}`);
+  }
+  for (const size of [width, height]) {
+    if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+      throw new Error(`Map sizes must be whole numbers from ${MIN_SIZE} to ${MAX_SIZE}`);
+    }
+  }
+  const rng = createRng(options.seed);
+  let layout;
+  if (def.style === 'rooms') layout = roomsAndCorridors(rng, width, height);
+  else if (def.style === 'caves') layout = caves(rng, width, height);
+  else layout = noiseBiome(rng, width, height, def.bands);
+  const { tiles } = layout;
+
+  // Features go on the largest walkable area
+  const [area = []] = regions(tiles);
+  if (area.length < 2) {
+    throw new Error('The generated map has no room to walk; try another seed');
+  }
+  const start = layout.rooms && layout.rooms.length > 0
+    ? { x: layout.rooms[0].x + Math.floor(layout.rooms[0].w / 2), y: layout.rooms[0].y + Math.floor(layout.rooms[0].h / 2) }
+    : pick(rng, area, 1)[0];
+  const distances = distancesFrom(tiles, start);
+  const farthest = area.reduce((best, p) => (distances.get(`${p.x},${p.y}`) > distances.get(`${best.x},${best.y}`) ? p : best), start);
+  tiles[start.y][start.x] = 'stairsUp';
+  tiles[farthest.y][farthest.x] = 'stairsDown';
+  // Monsters and treasure stay out of the first stretch around the start
+  const minDistance = Math.max(3, Math.floor(Math.min(width, height) / 5));
+  const away = area.filter((p) => distances.get(`${p.x},${p.y}`) >= minDistance
+    && tiles[p.y][p.x] !== 'stairsDown' && tiles[p.y][p.x] !== 'door');
+  const spots = Math.max(2, Math.floor(area.length / 80));
+  let spawnPoints;
+  let treasure;
+  if (layout.rooms) {
+    // One spawn point and perhaps some treasure per room beyond the first
+    const inRoom = (r) => away.filter((p) => p.x >= r.x && p.x < r.x + r.w && p.y >= r.y && p.y < r.y + r.h);
+    spawnPoints = layout.rooms.slice(1).flatMap((r) => pick(rng, inRoom(r), 1));
+    treasure = layout.rooms.slice(1).filter(() => nextFloat(rng) < 0.4).flatMap((r) => pick(rng, inRoom(r), 1));
+  } else {
+    spawnPoints = pick(rng, away, spots);
+    treasure = pick(rng, away, Math.max(1, Math.floor(spots / 2)));
+  }
+  const titled = biome.charAt(0).toUpperCase() + biome.slice(1);
+  // The stairs lead the whole party on unless the option says otherwise
+  const exits = [[start, options.up], [farthest, options.down]]
+    .filter(([, target]) => target)
+    .map(([p, target]) => ({ x: p.x, y: p.y, party: true, ...(typeof target === 'string' ? { map: target } : target) }));
+  return {
+    id: options.id || `${biome}-${rng.seed}`,
+    name: options.name || `${titled} ${rng.seed}`,
+    biome,
+    dimensions: { width, height },
+    tiles,
+    seed: rng.seed,
+    start,
+    stairs: { up: start, down: farthest },
+    doors: layout.doors || [],
+    spawnPoints,
+    treasure,
+    exits,
+  };
+}
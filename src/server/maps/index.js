@@ -4,29 +4,42 @@
 // `maps` directory.  Each map file describes the biome, dimensions
 // and a 2D array of tile types.  See the files in `maps/` for
 // examples.  The functions here return either a list of maps
-// (summarised) or a specific map by id.
+// (summarised) or a specific map by id.  Tile types missing from the
+// registry in `rules/tiles.json` are reported as maps load.
+//
+// Maps can also be created, replaced, patched and deleted.  Every write
+// is validated (see `validateMap`), saved to the `maps` directory and
+// applied to the in-memory store.
 
 import fs from 'fs';
 import path from 'path';
+import { tiles as tileRules } from '../rules/index.js';
 
 // Load all maps at startup.  The `maps` directory is expected to
 // reside in the project root (process.cwd()).  Each JSON file should
 // contain an object with at least an `id` and `name` field.
 const maps = new Map();
+// File name of each map in the maps directory, by id
+const files = new Map();
+const dir = path.join(process.cwd(), 'maps');
 
 (() => {
-  const dir = path.join(process.cwd(), 'maps');
   if (!fs.existsSync(dir)) {
     console.warn('Maps directory not found:', dir);
     return;
   }
-  const files = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
-  for (const file of files) {
+  const names = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
+  for (const file of names) {
     try {
       const raw = fs.readFileSync(path.join(dir, file), 'utf8');
       const data = JSON.parse(raw);
       if (data && data.id) {
+        const unknown = unknownTiles(data);
+        if (unknown.length > 0) {
+          console.warn(`Map ${data.id} uses unknown tile types: ${unknown.join(', ')}`);
+        }
         maps.set(data.id, data);
+        files.set(data.id, file);
       }
     } catch (err) {
       console.error('Failed to load map', file, err);
@@ -34,6 +47,21 @@ const maps = new Map();
   }
 })();
 
+/**
+ * The tile types a map uses that `rules/tiles.json` does not define.
+ * @param {object} map
+ * @returns {string[]}
+ */
+export function unknownTiles(map) {
+  const unknown = new Set();
+  for (const row of map.tiles || []) {
+    for (const tile of row) {
+      if (!(tile in tileRules)) unknown.add(tile);
+    }
+  }
+  return Array.from(unknown);
+}
+
 /**
  * Return a summary list of maps.  Each entry includes the id,
  * name, biome and dimensions of the map.  Use `getMap(id)` to
@@ -53,6 +81,29 @@ export function getMaps() {
   return list;
 }
 
+/**
+ * Add a map to the store, e.g. one made by the generator, so it can be
+ * selected like the maps loaded from files.  It is kept in memory only.
+ * Throws if a map with the same id exists.  Unknown tile types are
+ * reported as for loaded maps.
+ * @param {object} map
+ * @returns {object} the map
+ */
+export function registerMap(map) {
+  if (!map || !map.id) {
+    throw new Error('A map needs an id');
+  }
+  if (maps.has(map.id)) {
+    throw new Error(`Map ${map.id} already exists`);
+  }
+  const unknown = unknownTiles(map);
+  if (unknown.length > 0) {
+    console.warn(`Map ${map.id} uses unknown tile types: ${unknown.join(', ')}`);
+  }
+  maps.set(map.id, map);
+  return map;
+}
+
 /**
  * Retrieve a map by id.  Returns the full map object or null if
  * missing.
@@ -61,4 +112,193 @@ export function getMaps() {
  */
 export function getMap(id) {
   return maps.get(id) || null;
+}
+
+// Map ids double as file names, so keep them simple
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check a map before it is written: a usable id and name, whole-number
+ * dimensions, a `tiles` grid matching them, only tile types from
+ * `rules/tiles.json`, any `start`/`spawnPoints` squares on the map and
+ * `exits` and `traps` on the map, exits naming the map they lead to.
+ * @param {object} map
+ * @returns {string[]} problems found; empty when the map is valid
+ */
+export function validateMap(map) {
+  if (!map || typeof map !== 'object') return ['A map must be an object'];
+  const problems = [];
+  if (typeof map.id !== 'string' || !ID_PATTERN.test(map.id)) {
+    problems.push('id must be letters, digits, dashes or underscores');
+  }
+  if (typeof map.name !== 'string' || !map.name.trim()) {
+    problems.push('name is required');
+  }
+  const { width, height } = map.dimensions || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    problems.push('dimensions must give a whole-number width and height');
+    return problems;
+  }
+  if (!Array.isArray(map.tiles) || map.tiles.length !== height) {
+    problems.push(`tiles must have ${height} rows`);
+    return problems;
+  }
+  map.tiles.forEach((row, y) => {
+    if (!Array.isArray(row) || row.length !== width) {
+      problems.push(`tiles row ${y} must have ${width} tiles`);
+    }
+  });
+  const unknown = unknownTiles({ tiles: map.tiles.filter(Array.isArray) });
+  if (unknown.length > 0) {
+    problems.push(`unknown tile types: ${unknown.join(', ')}`);
+  }
+  const onMap = (p) => !!p && Number.isInteger(p.x) && Number.isInteger(p.y)
+    && p.x >= 0 && p.y >= 0 && p.x < width && p.y < height;
+  const points = [map.start, ...(map.spawnPoints || [])].filter(Boolean);
+  if (!points.every(onMap)) {
+    problems.push('start and spawnPoints must be squares on the map');
+  }
+  if (map.exits !== undefined && !Array.isArray(map.exits)) {
+    problems.push('exits must be a list');
+  } else {
+    // The target map may be authored later, so only its id is checked
+    (map.exits || []).forEach((exit, i) => {
+      if (!onMap(exit)) {
+        problems.push(`exit ${i} must be a square on the map`);
+      } else if (typeof exit.map !== 'string' || !ID_PATTERN.test(exit.map)) {
+        problems.push(`exit ${i} must name the map it leads to`);
+      } else if (exit.entry && !(Number.isInteger(exit.entry.x) && Number.isInteger(exit.entry.y))) {
+        problems.push(`exit ${i} must enter on whole-number x and y coordinates`);
+      } else if (exit.skillCheck !== undefined && !isSkillCheck(exit.skillCheck)) {
+        problems.push(`exit ${i} must give its skillCheck as a skill or { skill, modifier }`);
+      }
+    });
+  }
+  if (map.traps !== undefined && !Array.isArray(map.traps)) {
+    problems.push('traps must be a list');
+  } else {
+    (map.traps || []).forEach((trap, i) => {
+      if (!onMap(trap)) {
+        problems.push(`trap ${i} must be a square on the map`);
+      } else if (trap.damage !== undefined && typeof trap.damage !== 'string') {
+        problems.push(`trap ${i} must give its damage as dice, e.g. "1d6"`);
+      } else if (trap.skillCheck !== undefined && !isSkillCheck(trap.skillCheck)) {
+        problems.push(`trap ${i} must give its skillCheck as a skill or { skill, modifier }`);
+      }
+    });
+  }
+  return problems;
+}
+
+// Whether a `skillCheck` requirement is a skill name or
+// `{ skill, modifier }`
+function isSkillCheck(requirement) {
+  if (typeof requirement === 'string') return requirement.length > 0;
+  return !!requirement && typeof requirement.skill === 'string'
+    && (requirement.modifier === undefined || Number.isInteger(requirement.modifier));
+}
+
+// Throw with every problem of an invalid map
+function assertValid(map) {
+  const problems = validateMap(map);
+  if (problems.length > 0) {
+    throw new Error(`Invalid map: ${problems.join('; ')}`);
+  }
+}
+
+// Write a map to its file, one row of tiles per line like the
+// hand-written maps
+function saveMap(map) {
+  const file = files.get(map.id) || `${map.id}.json`;
+  const fields = Object.entries(map).map(([key, value]) => {
+    if (key !== 'tiles') return `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+    const rows = value.map((row) => `    ${JSON.stringify(row)}`).join(',\n');
+    return `  "tiles": [\n${rows}\n  ]`;
+  });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), `{\n${fields.join(',\n')}\n}`);
+  files.set(map.id, file);
+  maps.set(map.id, map);
+}
+
+/**
+ * Create a map and save it to the maps directory.  Throws if the map is
+ * invalid or its id is taken.
+ * @param {object} map
+ * @returns {object} the map
+ */
+export function createMap(map) {
+  assertValid(map);
+  if (maps.has(map.id)) {
+    throw new Error(`Map ${map.id} already exists`);
+  }
+  saveMap(map);
+  return map;
+}
+
+/**
+ * Replace a map with a new definition under the same id and save it.
+ * Throws if the map does not exist or the new definition is invalid.
+ * @param {string} id
+ * @param {object} map `id` may be left out
+ * @returns {object} the saved map
+ */
+export function updateMap(id, map) {
+  if (!maps.has(id)) {
+    throw new Error(`Map ${id} does not exist`);
+  }
+  // The id comes from the route and stays first in the file
+  const { id: ignored, ...fields } = map || {};
+  const updated = { id, ...fields };
+  assertValid(updated);
+  saveMap(updated);
+  return updated;
+}
+
+/**
+ * Overwrite a rectangle of a map's tiles and save it.  `tiles` is a
+ * grid of rows placed with its top-left corner on square `x`,`y`; it
+ * must fit on the map and use known tile types.
+ * @param {string} id
+ * @param {{x: number, y: number, tiles: string[][]}} region
+ * @returns {object} the saved map
+ */
+export function patchMapRegion(id, region) {
+  const map = maps.get(id);
+  if (!map) {
+    throw new Error(`Map ${id} does not exist`);
+  }
+  const { x, y, tiles } = region || {};
+  const { width, height } = map.dimensions;
+  if (!Number.isInteger(x) || !Number.isInteger(y) || !Array.isArray(tiles) || tiles.length === 0
+    || tiles.some((row) => !Array.isArray(row) || row.length !== tiles[0].length)) {
+    throw new Error('A region needs whole-number x and y and a rectangular grid of tiles');
+  }
+  if (x < 0 || y < 0 || x + tiles[0].length > width || y + tiles.length > height) {
+    throw new Error(`The region does not fit on the ${width} × ${height} map`);
+  }
+  const patched = { ...map, tiles: map.tiles.map((row) => row.slice()) };
+  tiles.forEach((row, dy) => row.forEach((tile, dx) => {
+    patched.tiles[y + dy][x + dx] = tile;
+  }));
+  assertValid(patched);
+  saveMap(patched);
+  return patched;
+}
+
+/**
+ * Delete a map from the store and the maps directory.  Throws if it
+ * does not exist.
+ * @param {string} id
+ */
+export function deleteMap(id) {
+  if (!maps.has(id)) {
+    throw new Error(`Map ${id} does not exist`);
+  }
+  const file = files.get(id);
+  if (file && fs.existsSync(path.join(dir, file))) {
+    fs.unlinkSync(path.join(dir, file));
+  }
+  maps.delete(id);
+  files.delete(id);
 }
\ No newline at end of file
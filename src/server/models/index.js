@@ -1,44 +1,228 @@
-// In‑memory data models
+// Data models
 //
-// This module stores games and players in memory.  For persistence you
-// should replace these structures with database adapters.  Because this
-// implementation is shared between routes and socket handlers, we can
-// import it from multiple places.
+// This module keeps live games and players in memory and writes them
+// through a storage adapter (see `storage/index.js`) chosen in
+// `config.json`, so campaigns in progress can survive a restart.
+// Because this implementation is shared between routes and socket
+// handlers, we can import it from multiple places.
 
-// Map of gameId to game state
+import config from '../config.js';
+import { createRng } from './rng.js';
+import { createStorage, serializeGame, deserializeGame } from './storage/index.js';
+
+// Map of gameId to live game state (a cache in front of the storage)
 const games = new Map();
 
-function createGame(id) {
+const storage = createStorage(config.storage);
+
+// Ids of games changed since they were last written.  Saves are
+// batched: many model calls during one socket event produce one write.
+const dirty = new Set();
+let flushScheduled = false;
+
+/**
+ * Write all changed games to storage immediately.
+ */
+function flush() {
+  flushScheduled = false;
+  for (const id of dirty) {
+    const game = games.get(id);
+    if (game) {
+      try {
+        storage.save(id, serializeGame(game));
+      } catch (err) {
+        console.error(`Failed to save game ${id}:`, err);
+      }
+    }
+  }
+  dirty.clear();
+}
+
+/**
+ * Mark a game as changed.  It is written to storage once the current
+ * event has been handled.  Controllers that modify a game without going
+ * through another model function should call this.
+ * @param {string} gameId
+ */
+function saveGame(gameId) {
+  if (!games.has(gameId)) return;
+  dirty.add(gameId);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    setImmediate(flush);
+  }
+}
+
+/**
+ * Look up a live game, loading it from storage if it is not cached.
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function findGame(id) {
   if (games.has(id)) {
     return games.get(id);
   }
+  const data = storage.load(id);
+  if (!data) return undefined;
+  const game = deserializeGame(data);
+  games.set(id, game);
+  return game;
+}
+
+/**
+ * Create a game or return the existing one.  Every game owns a seeded
+ * RNG (`game.rng`) from which all of its dice are rolled; pass
+ * `options.seed` to replay a previous session.
+ * @param {string} id
+ * @param {{seed?: number|string}} [options]
+ * @returns {object}
+ */
+function createGame(id, options = {}) {
+  const existing = findGame(id);
+  if (existing) {
+    return existing;
+  }
   const game = {
     id,
+    rng: createRng(options.seed),
+    // Counter used to give monster instances reproducible ids
+    nextMonsterId: 1,
     players: new Map(),
-    log: [],
+    // Structured event log; see controllers/events.js for event types
+    events: [],
+    nextEventId: 1,
     campaign: null,
     monsters: new Map(),
+    // Active combat encounter (initiative order, round and turn)
+    encounter: null,
+    // Treasure taken from slain monsters, waiting to be shared out
+    loot: { coins: {}, items: [] },
     // additional game properties can be added here
   };
   games.set(id, game);
+  saveGame(id);
   return game;
 }
 
 function getGame(id) {
-  return games.get(id);
+  return findGame(id);
+}
+
+/**
+ * Delete a game from memory and storage.
+ * @param {string} id
+ */
+function deleteGame(id) {
+  games.delete(id);
+  dirty.delete(id);
+  storage.remove(id);
+}
+
+/**
+ * List the ids of all stored games.
+ * @returns {string[]}
+ */
+function listGames() {
+  flush();
+  return storage.list();
+}
+
+/**
+ * The games held in memory: those created or loaded since the server
+ * started.  Unlike `listGames` this loads nothing from storage.
+ * @returns {object[]}
+ */
+function liveGames() {
+  return Array.from(games.values());
 }
 
 function addPlayer(gameId, playerId, playerName) {
   const game = createGame(gameId);
   if (!game.players.has(playerId)) {
     game.players.set(playerId, { id: playerId, name: playerName, character: null });
+    saveGame(gameId);
   }
   return game.players.get(playerId);
 }
 
-function appendLog(gameId, message) {
+// Functions called with every recorded event (see `onEvent`)
+const eventListeners = [];
+
+/**
+ * Call a function with `(gameId, event)` whenever an event is recorded
+ * in any game, e.g. to follow quest objectives.  A listener may record
+ * events of its own; a listener that throws is logged and skipped.
+ * @param {function(string, object): void} listener
+ */
+function onEvent(listener) {
+  eventListeners.push(listener);
+}
+
+/**
+ * Record a structured event in the game log.  The event receives a
+ * sequential `id` and a timestamp (`ts`, milliseconds since the epoch).
+ * @param {string} gameId
+ * @param {{type: string}} event
+ * @returns {object} the stored event
+ */
+function recordEvent(gameId, event) {
   const game = createGame(gameId);
-  game.log.push(message);
+  const stored = { id: game.nextEventId++, ts: Date.now(), ...event };
+  game.events.push(stored);
+  saveGame(gameId);
+  for (const listener of eventListeners) {
+    try {
+      listener(gameId, stored);
+    } catch (err) {
+      console.error(`Event listener failed on ${stored.type} event:`, err);
+    }
+  }
+  return stored;
+}
+
+/**
+ * Record a free‑form narrative line.  Prefer a typed event from
+ * `recordEvent` whenever the entry describes something that happened
+ * in the rules (an attack, a heal, a level up…).
+ * @param {string} gameId
+ * @param {string} message
+ * @returns {object} the stored event
+ */
+function appendLog(gameId, message) {
+  return recordEvent(gameId, { type: 'message', text: message });
+}
+
+/**
+ * Return a page of events.  With `since` the page holds the events that
+ * follow that id (oldest first); otherwise it holds the most recent
+ * events, optionally before the id given in `before`.  `types`
+ * restricts the page to the listed event types and `filter` to the
+ * events it returns true for.
+ * @param {string} gameId
+ * @param {{since?: number, before?: number, limit?: number, types?: string[], filter?: function(object): boolean}} [options]
+ * @returns {{events: object[], total: number, hasMore: boolean}}
+ */
+function getEvents(gameId, options = {}) {
+  const game = findGame(gameId);
+  if (!game) return { events: [], total: 0, hasMore: false };
+  const { since, before, types, filter } = options;
+  const limit = Math.max(1, Math.min(options.limit || 50, 500));
+  let events = game.events;
+  if (Array.isArray(types) && types.length > 0) {
+    events = events.filter((e) => types.includes(e.type));
+  }
+  if (typeof filter === 'function') {
+    events = events.filter(filter);
+  }
+  if (since !== undefined && since !== null) {
+    const after = events.filter((e) => e.id > since);
+    return { events: after.slice(0, limit), total: game.events.length, hasMore: after.length > limit };
+  }
+  if (before !== undefined && before !== null) {
+    events = events.filter((e) => e.id < before);
+  }
+  const start = Math.max(0, events.length - limit);
+  return { events: events.slice(start), total: game.events.length, hasMore: start > 0 };
 }
 
 /**
@@ -50,22 +234,27 @@ function appendLog(gameId, message) {
  */
 function spawnMonster(gameId, monsterType, monsterStats) {
   const game = createGame(gameId);
-  // Create a unique instance ID
-  const instanceId = `m_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+  // Create a unique instance ID.  A per-game counter (rather than the
+  // clock) keeps ids identical when a game is replayed from its seed.
+  const instanceId = `m_${game.nextMonsterId++}`;
   // Clone stats and set HP
+  const hp = monsterStats.hitPoints || (monsterStats.hitDice || 1) * 4;
   const monster = {
     instanceId,
     type: monsterType,
-    hp: monsterStats.hitPoints || (monsterStats.hitDice || 1) * 4,
+    hp,
+    maxHp: hp,
     ac: monsterStats.armorClass || 10,
+    savingThrows: monsterStats.savingThrows || null,
     status: 'alive',
   };
   game.monsters.set(instanceId, monster);
+  saveGame(gameId);
   return monster;
 }
 
 function getMonster(gameId, instanceId) {
-  const game = games.get(gameId);
+  const game = findGame(gameId);
   if (!game) return null;
   return game.monsters.get(instanceId) || null;
 }
@@ -90,6 +279,7 @@ function addItemToPlayer(gameId, playerId, itemId) {
     player.character.inventory = [];
   }
   player.character.inventory.push(itemId);
+  saveGame(gameId);
   return player;
 }
 
@@ -98,13 +288,15 @@ function addItemToPlayer(gameId, playerId, itemId) {
  * undefined if the item is not found.
  */
 function removeItemFromPlayer(gameId, playerId, itemId) {
-  const game = games.get(gameId);
+  const game = findGame(gameId);
   if (!game) return undefined;
   const player = game.players.get(playerId);
   if (!player || !player.character || !Array.isArray(player.character.inventory)) return undefined;
   const index = player.character.inventory.indexOf(itemId);
   if (index === -1) return undefined;
-  return player.character.inventory.splice(index, 1)[0];
+  const removed = player.character.inventory.splice(index, 1)[0];
+  saveGame(gameId);
+  return removed;
 }
 
 /**
@@ -132,29 +324,26 @@ function setCharacter(gameId, playerId, character) {
   // Ensure experience and level fields exist
   if (player.character.experience === undefined) player.character.experience = 0;
   if (player.character.level === undefined) player.character.level = 1;
+  saveGame(gameId);
   return player;
 }
 
 /**
- * Add experience points to a player's character and update their level
- * if the threshold is reached.  Uses a simple progression: level × 1000.
+ * Add experience points to a player's character.  Experience
+ * accumulates; levels are derived from it by the class tables (see
+ * `controllers/levels.js`, which should be used to award experience).
  * @param {string} gameId
  * @param {string} playerId
  * @param {number} xp
  * @returns {object|null} updated player object
  */
 function addExperience(gameId, playerId, xp) {
-  const game = games.get(gameId);
+  const game = findGame(gameId);
   if (!game) return null;
   const player = game.players.get(playerId);
   if (!player || !player.character) return null;
   player.character.experience = (player.character.experience || 0) + xp;
-  // Level up if experience exceeds threshold
-  while (player.character.experience >= (player.character.level * 1000)) {
-    player.character.experience -= player.character.level * 1000;
-    player.character.level += 1;
-    appendLog(gameId, `${player.name} has reached level ${player.character.level}!`);
-  }
+  saveGame(gameId);
   return player;
 }
 
@@ -166,7 +355,7 @@ function addExperience(gameId, playerId, xp) {
  * @returns {object|null}
  */
 function exportCharacter(gameId, playerId) {
-  const game = games.get(gameId);
+  const game = findGame(gameId);
   if (!game) return null;
   const player = game.players.get(playerId);
   if (!player || !player.character) return null;
@@ -181,7 +370,7 @@ function exportCharacter(gameId, playerId) {
  * @returns {object|null}
  */
 function getPlayer(gameId, playerId) {
-  const game = games.get(gameId);
+  const game = findGame(gameId);
   if (!game) return null;
   return game.players.get(playerId) || null;
 }
@@ -189,8 +378,16 @@ function getPlayer(gameId, playerId) {
 export default {
   createGame,
   getGame,
+  deleteGame,
+  listGames,
+  liveGames,
+  saveGame,
+  flush,
   addPlayer,
   appendLog,
+  recordEvent,
+  onEvent,
+  getEvents,
   spawnMonster,
   getMonster,
   addItemToPlayer,
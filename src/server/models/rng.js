@@ -0,0 +1,65 @@
+// Random number generator
+//
+// Each game owns a seedable pseudo‑random number generator so that any
+// session can be replayed exactly: the same seed plus the same sequence
+// of actions produces the same rolls.  The generator is mulberry32,
+// which keeps its whole state in a single 32‑bit integer.  The RNG is a
+// plain object (`{ seed, state, draws }`) stored on the game, so it can
+// be saved and restored together with the rest of the game state.
+
+/**
+ * Produce a fresh 32‑bit seed for games that were not given one.
+ * @returns {number}
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a new RNG state for the given seed.  Strings are hashed so
+ * that human friendly seeds such as "bug-123" can be used.
+ * @param {number|string} [seed]
+ * @returns {{seed: number, state: number, draws: number}}
+ */
+export function createRng(seed = randomSeed()) {
+  let value = seed;
+  if (typeof seed === 'string') {
+    // FNV‑1a hash of the string
+    value = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      value ^= seed.charCodeAt(i);
+      value = Math.imul(value, 0x01000193);
+    }
+  }
+  value = Number(value) >>> 0;
+  return { seed: value, state: value, draws: 0 };
+}
+
+/**
+ * Draw the next number in [0, 1) and advance the generator.
+ * @param {{state: number, draws: number}} rng
+ * @returns {number}
+ */
+export function nextFloat(rng) {
+  rng.state = (rng.state + 0x6d2b79f5) >>> 0;
+  let t = rng.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  rng.draws += 1;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Rebuild a generator from its seed and the number of draws already
+ * taken, e.g. from a bug report.  mulberry32 advances its state by a
+ * fixed increment, so this does not need to replay every draw.
+ * @param {number|string} seed
+ * @param {number} draws
+ * @returns {{seed: number, state: number, draws: number}}
+ */
+export function restoreRng(seed, draws = 0) {
+  const rng = createRng(seed);
+  rng.state = (rng.state + Math.imul(draws, 0x6d2b79f5)) >>> 0;
+  rng.draws = draws;
+  return rng;
+}
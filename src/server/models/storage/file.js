@@ -0,0 +1,126 @@
+// JSON file storage adapter
+//
+// Stores every game as a compact JSON document in a directory on disk
+// (`data/games` by default).  Writes are atomic: the document is
+// written to a temporary file which is then renamed over the old one,
+// so a crash mid‑write never leaves a truncated save behind.
+//
+// The event log grows all session long, so it is kept out of the
+// document: each save appends only the new events to
+// `<id>.events.jsonl`, one JSON event per line, before the document is
+// replaced.  Events the document does not yet count (`nextEventId`),
+// e.g. after a crash between the two writes, are dropped on load.
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Turn a game id into a safe file name.  Ids come from clients, so
+ * anything other than letters, digits, dashes and underscores is
+ * percent‑encoded to keep paths inside the storage directory.  The
+ * encoding is reversible with decodeURIComponent.
+ * @param {string} id
+ * @returns {string}
+ */
+function fileNameFor(id) {
+  const encoded = encodeURIComponent(String(id)).replace(/[^A-Za-z0-9%_-]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${encoded}.json`;
+}
+
+// The event log file next to a game's document
+function eventLogNameFor(id) {
+  return fileNameFor(id).replace(/\.json$/, '.events.jsonl');
+}
+
+// Read an event log file; a line cut short by a crash is skipped
+function readEventLog(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const events = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      // Incomplete last line
+    }
+  }
+  return events;
+}
+
+// Lines to append to an event log
+function eventLines(events) {
+  return events.map((event) => `${JSON.stringify(event)}\n`).join('');
+}
+
+/**
+ * Create a file storage adapter.
+ * @param {{dir?: string}} [options] directory relative to the project root
+ */
+export default function createFileStorage(options = {}) {
+  const dir = path.resolve(process.cwd(), options.dir || path.join('data', 'games'));
+  fs.mkdirSync(dir, { recursive: true });
+  // Id of the last event written to each game's log file
+  const lastWritten = new Map();
+
+  // Append the events not yet in a game's log file.  The first save of
+  // a game in this process, or one whose log runs ahead of the game (an
+  // id reused for a new game), writes the log afresh.
+  function writeEvents(id, events) {
+    const logPath = path.join(dir, eventLogNameFor(id));
+    const last = lastWritten.get(id);
+    const newest = events.length > 0 ? events[events.length - 1].id : 0;
+    if (last === undefined || newest < last) {
+      fs.writeFileSync(logPath, eventLines(events));
+    } else if (newest > last) {
+      fs.appendFileSync(logPath, eventLines(events.filter((e) => e.id > last)));
+    }
+    lastWritten.set(id, newest);
+  }
+
+  return {
+    name: 'file',
+
+    load(id) {
+      const filePath = path.join(dir, fileNameFor(id));
+      if (!fs.existsSync(filePath)) return null;
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // Saves from before the log was split off keep their events
+        if (Array.isArray(data.events)) return data;
+        const events = readEventLog(path.join(dir, eventLogNameFor(id)));
+        return { ...data, events: events.filter((e) => data.nextEventId === undefined || e.id < data.nextEventId) };
+      } catch (err) {
+        console.error(`Failed to load game ${id}:`, err);
+        return null;
+      }
+    },
+
+    save(id, data) {
+      const filePath = path.join(dir, fileNameFor(id));
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      const { events, ...rest } = data;
+      writeEvents(id, events || []);
+      fs.writeFileSync(tmpPath, JSON.stringify(rest));
+      fs.renameSync(tmpPath, filePath);
+    },
+
+    remove(id) {
+      const filePath = path.join(dir, fileNameFor(id));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      const logPath = path.join(dir, eventLogNameFor(id));
+      if (fs.existsSync(logPath)) {
+        fs.unlinkSync(logPath);
+      }
+      lastWritten.delete(id);
+    },
+
+    list() {
+      return fs
+        .readdirSync(dir)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => decodeURIComponent(f.slice(0, -'.json'.length)));
+    },
+  };
+}
@@ -0,0 +1,71 @@
+// Storage adapters
+//
+// The models keep live games in memory and write them through a storage
+// adapter so they can survive a server restart.  The adapter is chosen
+// with the `storage` section of `config.json`:
+//
+//   { "storage": { "adapter": "memory" } }
+//   { "storage": { "adapter": "file", "dir": "data/games" } }
+//
+// Games contain `Map` objects (players and monsters), which JSON cannot
+// represent, so they are converted to arrays by `serializeGame` before
+// they reach an adapter and rebuilt by `deserializeGame`.
+
+import createMemoryStorage from './memory.js';
+import createFileStorage from './file.js';
+
+const adapters = {
+  memory: createMemoryStorage,
+  file: createFileStorage,
+};
+
+/**
+ * Create the storage adapter described by the configuration.  Unknown
+ * adapters fall back to memory storage with a warning.
+ * @param {{adapter?: string}} [options]
+ */
+export function createStorage(options = {}) {
+  const name = options.adapter || 'memory';
+  const factory = adapters[name];
+  if (!factory) {
+    console.warn(`Unknown storage adapter '${name}', using memory storage`);
+    return createMemoryStorage();
+  }
+  return factory(options);
+}
+
+/**
+ * Convert a live game into a plain JSON‑safe object.
+ * @param {object} game
+ * @returns {object}
+ */
+export function serializeGame(game) {
+  return JSON.parse(JSON.stringify({
+    ...game,
+    players: Array.from(game.players.values()),
+    monsters: Array.from(game.monsters.values()),
+  }));
+}
+
+/**
+ * Rebuild a live game from its serialised form.  Saves written before
+ * the structured event log existed keep their plain `log` strings as
+ * `message` events.
+ * @param {object} data
+ * @returns {object}
+ */
+export function deserializeGame(data) {
+  let { events, nextEventId } = data;
+  if (!Array.isArray(events)) {
+    events = (data.log || []).map((text, i) => ({ id: i + 1, ts: 0, type: 'message', text }));
+    nextEventId = events.length + 1;
+  }
+  const { log, ...rest } = data;
+  return {
+    ...rest,
+    events,
+    nextEventId,
+    players: new Map((data.players || []).map((p) => [p.id, p])),
+    monsters: new Map((data.monsters || []).map((m) => [m.instanceId, m])),
+  };
+}
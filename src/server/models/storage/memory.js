@@ -0,0 +1,47 @@
+// In‑memory storage adapter
+//
+// Keeps serialised games in a Map for the lifetime of the process.
+// Nothing survives a restart; use the file adapter for that.  Every
+// storage adapter implements the same four methods: `load`, `save`,
+// `remove` and `list`.
+
+export default function createMemoryStorage() {
+  const store = new Map();
+  return {
+    name: 'memory',
+
+    /**
+     * Return the serialised game with the given id or null.
+     * @param {string} id
+     * @returns {object|null}
+     */
+    load(id) {
+      return store.get(id) || null;
+    },
+
+    /**
+     * Store a serialised game, replacing any previous version.
+     * @param {string} id
+     * @param {object} data
+     */
+    save(id, data) {
+      store.set(id, data);
+    },
+
+    /**
+     * Delete a stored game.
+     * @param {string} id
+     */
+    remove(id) {
+      store.delete(id);
+    },
+
+    /**
+     * List the ids of all stored games.
+     * @returns {string[]}
+     */
+    list() {
+      return Array.from(store.keys());
+    },
+  };
+}
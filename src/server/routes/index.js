@@ -9,8 +9,13 @@ import { readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { listCampaigns, getCampaign } from '../campaigns/index.js';
-import { getMaps, getMap } from '../maps/index.js';
+import { getMaps, getMap, registerMap, createMap, updateMap, patchMapRegion, deleteMap } from '../maps/index.js';
+import { generateMap } from '../maps/generator.js';
 import { getDialoguesForCampaign, getDialogue } from '../dialogues/index.js';
+import { getEventPage, getRngState, planRoute, gamesOnMap, settleTokens } from '../controllers/index.js';
+import { notifyMapUpdated } from '../sockets/index.js';
+import { tiles } from '../rules/index.js';
+import config from '../config.js';
 
 const router = express.Router();
 
@@ -63,6 +68,18 @@ router.get('/maps', (req, res) => {
   res.json(list);
 });
 
+// Generate a map and add it to the map store.  The JSON body may give
+// `width`, `height`, `seed`, `biome`, `id` and `name` (see
+// maps/generator.js).  Returns the new map.
+router.post('/maps/generate', (req, res) => {
+  try {
+    const map = registerMap(generateMap(req.body || {}));
+    res.status(201).json(map);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Fetch a single map by id
 router.get('/maps/:id', (req, res) => {
   const { id } = req.params;
@@ -73,6 +90,101 @@ router.get('/maps/:id', (req, res) => {
   res.json(map);
 });
 
+// The tile type registry: colour, texture, movement and sight rules for
+// every tile type maps may use
+router.get('/tiles', (req, res) => {
+  res.json(tiles);
+});
+
+// Map authoring.  Writes are validated (400 with the problems when the
+// map is invalid), saved to the maps directory and pushed to players of
+// games on the map with a `mapUpdated` socket event.
+router.post('/maps', (req, res) => {
+  try {
+    res.status(201).json(createMap(req.body));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Replace a map
+router.put('/maps/:id', (req, res) => {
+  const { id } = req.params;
+  if (!getMap(id)) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  let map;
+  try {
+    map = updateMap(id, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  // Creatures left off the map or on impassable squares are moved first
+  settleTokens(id);
+  notifyMapUpdated(req.app.get('io'), id, { action: 'update' });
+  res.json(map);
+});
+
+// Overwrite a rectangle of tiles: `{ x, y, tiles: [[...], ...] }`
+router.patch('/maps/:id/tiles', (req, res) => {
+  const { id } = req.params;
+  if (!getMap(id)) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  let map;
+  try {
+    map = patchMapRegion(id, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  settleTokens(id);
+  const { x, y, tiles } = req.body;
+  notifyMapUpdated(req.app.get('io'), id, {
+    action: 'patch',
+    region: { x, y, width: tiles[0].length, height: tiles.length },
+  });
+  res.json(map);
+});
+
+// Delete a map unless a live game is being played on it
+router.delete('/maps/:id', (req, res) => {
+  const { id } = req.params;
+  if (!getMap(id)) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  const games = gamesOnMap(id);
+  if (games.length > 0) {
+    return res.status(409).json({ error: `Map ${id} is in use by ${games.join(', ')}` });
+  }
+  deleteMap(id);
+  res.status(204).end();
+});
+
+// Preview a route between two squares of a map, e.g.
+// `/maps/cave/path?from=1,1&to=8,8`.  Pass `gameId` to route around
+// that game's creatures.  Returns the path and its movement cost in
+// squares and feet.
+router.get('/maps/:id/path', (req, res) => {
+  const { id } = req.params;
+  const toPoint = (value) => {
+    const [x, y] = String(value || '').split(',').map(Number);
+    return Number.isInteger(x) && Number.isInteger(y) ? { x, y } : null;
+  };
+  const from = toPoint(req.query.from);
+  const to = toPoint(req.query.to);
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to must be x,y squares' });
+  }
+  if (!getMap(id)) {
+    return res.status(404).json({ error: 'Map not found' });
+  }
+  const route = planRoute(id, from, to, { gameId: req.query.gameId });
+  if (!route) {
+    return res.status(404).json({ error: 'No path found' });
+  }
+  res.json(route);
+});
+
 // List dialogues for a campaign
 router.get('/dialogues/:campaignId', (req, res) => {
   const { campaignId } = req.params;
@@ -90,4 +202,39 @@ router.get('/dialogue/:id', (req, res) => {
   res.json(dialogue);
 });
 
+// Page through a game's event log.  Query parameters: `since` or
+// `before` (event ids), `limit` and a comma separated list of `types`.
+// The route cannot tell who is asking, so events only some players saw
+// are left out; each player's own view is served over the socket.
+router.get('/games/:id/events', (req, res) => {
+  const { id } = req.params;
+  const toNumber = (value) => {
+    const n = Number(value);
+    return value === undefined || !Number.isFinite(n) ? undefined : n;
+  };
+  const page = getEventPage(id, {
+    since: toNumber(req.query.since),
+    before: toNumber(req.query.before),
+    limit: toNumber(req.query.limit),
+    types: req.query.types ? String(req.query.types).split(',') : undefined,
+  });
+  if (!page) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.json(page);
+});
+
+// Debug: the seed and draw count of a game's dice, for reproducing a
+// session.  Only served when `debug` is set in config.json.
+router.get('/games/:id/rng', (req, res) => {
+  if (!config.debug) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  const rng = getRngState(req.params.id);
+  if (!rng) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+  res.json(rng);
+});
+
 export default router;
\ No newline at end of file
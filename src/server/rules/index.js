@@ -25,4 +25,23 @@ function loadJson(fileName) {
 export const classes = loadJson('classes.json');
 export const spells = loadJson('spells.json');
 export const monsters = loadJson('monsters.json');
-export const items = loadJson('items.json');
\ No newline at end of file
+export const items = loadJson('items.json');
+export const savingThrows = loadJson('savingThrows.json');
+export const abilities = loadJson('abilities.json');
+export const conditions = loadJson('conditions.json');
+export const treasure = loadJson('treasure.json');
+export const health = loadJson('health.json');
+export const tiles = loadJson('tiles.json');
+
+/**
+ * Resolve a class name typed by a player ("Cleric", "magic user") to
+ * its key in classes.json ("cleric", "magicUser").  Case, spaces,
+ * dashes and underscores are ignored.  Returns null for unknown classes.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function classKey(name) {
+  const wanted = String(name || '').replace(/[\s_-]/g, '').toLowerCase();
+  if (!wanted) return null;
+  return Object.keys(classes).find((key) => key.toLowerCase() === wanted) || null;
+}
\ No newline at end of file
@@ -6,26 +6,69 @@
 // emits updates back to the appropriate room.
 
 import { joinGame, handleAction, getGameState, createCharacter } from '../controllers/index.js';
-import { selectCampaign as selectCampaignController, spawnMonster as spawnMonsterController, giveItem as giveItemController, useItem as useItemController, startDialogue as startDialogueController, chooseDialogueOption as chooseDialogueOptionController } from '../controllers/index.js';
-import { monsterAttack } from '../controllers/combat.js';
+import { selectCampaign as selectCampaignController, travel, selectMap as selectMapController, spawnMonster as spawnMonsterController, giveItem as giveItemController, useItem as useItemController, startDialogue as startDialogueController, chooseDialogueOption as chooseDialogueOptionController } from '../controllers/index.js';
+import { beginEncounter, endEncounter, getEventPage, prepareSpells, rest, setAbilityScores, equipItem, unequipItem, gamesOnMap, startQuest, takeQuestUpdates } from '../controllers/index.js';
 import models from '../models/index.js';
+import config from '../config.js';
+
+// Send each player in a game their own view of the game state: what
+// they have explored of the map and the monsters they can see (see
+// controllers/vision.js).  Player ids are socket ids, so every player
+// is reached through the room of their own socket.  Quest changes
+// since the last broadcast are announced to the room as `questUpdated`.
+function broadcastState(io, gameId) {
+  const game = models.getGame(gameId);
+  if (!game) return;
+  for (const update of takeQuestUpdates(gameId)) {
+    io.to(gameId).emit('questUpdated', update);
+  }
+  for (const playerId of game.players.keys()) {
+    io.to(playerId).emit('gameState', getGameState(gameId, { playerId }));
+  }
+}
+
+/**
+ * Tell the players of every game on a map that the map was changed
+ * (`mapUpdated` with the map id and what changed) and send them their
+ * view of it.  Called by the map authoring routes.
+ * @param {import('socket.io').Server} io
+ * @param {string} mapId
+ * @param {object} change e.g. `{ action: 'patch', region: { x, y, width, height } }`
+ */
+export function notifyMapUpdated(io, mapId, change) {
+  if (!io) return;
+  for (const gameId of gamesOnMap(mapId)) {
+    io.to(gameId).emit('mapUpdated', { mapId, ...change });
+    broadcastState(io, gameId);
+  }
+}
+
+// Broadcast the outcome of a turn change to the room.  `update` is the
+// object returned by the encounter controller: either the next turn or
+// a summary of how the encounter ended.
+function emitEncounterUpdate(io, gameId, update) {
+  if (!update) return;
+  if (update.ended) {
+    io.to(gameId).emit('encounterEnded', update.ended);
+  } else if (update.turn) {
+    io.to(gameId).emit('turnChanged', update.turn);
+  }
+}
 
 export default function registerSockets(io) {
-  // Track active AI intervals for monsters.  Keys are `${gameId}_${monsterId}`.
-  const monsterIntervals = {};
   io.on('connection', (socket) => {
     console.log('🧙 A client connected:', socket.id);
 
     // Join a game.  The client should emit an object with the gameId and
     // playerName.  We use socket.id as the playerId to simplify the
-    // association between socket and player.
-    socket.on('joinGame', ({ gameId, playerName }) => {
+    // association between socket and player.  A `seed` for a new game is
+    // only honoured with `debug` set in config.json.
+    socket.on('joinGame', ({ gameId, playerName, seed }) => {
       try {
-        joinGame(gameId, socket.id, playerName);
+        joinGame(gameId, socket.id, playerName, config.debug ? { seed } : {});
         socket.join(gameId);
-        // Broadcast the updated game state to everyone in the room
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        // Send everyone in the room their view of the updated game state
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -39,9 +82,61 @@ export default function registerSockets(io) {
         const result = handleAction(gameId, socket.id, action);
         // Inform this player of their result
         socket.emit('actionResult', result);
-        // Broadcast the updated game state to everyone in the room
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        // Send everyone in the room their view of the updated game state
+        broadcastState(io, gameId);
+        // Announce players going through an exit to another map
+        if (result.transition) {
+          const { from, to, players, message } = result.transition;
+          io.to(gameId).emit('mapTransition', { from, to, players, message, by: socket.id });
+        }
+        // Announce the next turn if the action happened in an encounter
+        emitEncounterUpdate(io, gameId, result.encounter);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Start an encounter: roll initiative for everyone present
+    socket.on('startEncounter', ({ gameId }) => {
+      try {
+        const encounter = beginEncounter(gameId);
+        io.to(gameId).emit('encounterStarted', { order: encounter.order });
+        broadcastState(io, gameId);
+        emitEncounterUpdate(io, gameId, encounter);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // End the current encounter early (DM command)
+    socket.on('endEncounter', ({ gameId }) => {
+      try {
+        const summary = endEncounter(gameId);
+        if (!summary) {
+          socket.emit('error', 'No encounter in progress');
+          return;
+        }
+        broadcastState(io, gameId);
+        io.to(gameId).emit('encounterEnded', summary);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Fetch a page of the event log, e.g. older entries the client has
+    // not seen yet.  Replies with `events` to the requesting client only,
+    // as far as that player saw them.
+    socket.on('getEvents', ({ gameId, since, before, limit, types }) => {
+      try {
+        const page = getEventPage(gameId, { since, before, limit, types, playerId: socket.id });
+        if (!page) {
+          socket.emit('error', `Game ${gameId} does not exist`);
+          return;
+        }
+        socket.emit('events', page);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -55,67 +150,60 @@ export default function registerSockets(io) {
         // Broadcast campaign selection to all players in the room
         io.to(gameId).emit('campaignSelected', summary);
         // Also broadcast updated game state (includes campaign)
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Begin a quest the campaign does not start by itself (DM command)
+    socket.on('startQuest', ({ gameId, questId }) => {
+      try {
+        startQuest(gameId, questId);
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Travel with the party to a location connected to the current one
+    // in the campaign.  Everyone hears where the party arrived.
+    socket.on('travel', ({ gameId, locationId }) => {
+      try {
+        const { message, location } = travel(gameId, locationId);
+        io.to(gameId).emit('locationEntered', { location, message });
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Select the map the game is played on and place everyone on it
+    socket.on('selectMap', ({ gameId, mapId }) => {
+      try {
+        selectMapController(gameId, mapId);
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
       }
     });
 
-    // Spawn a monster (DM or test command)
-    socket.on('spawnMonster', ({ gameId, monsterType }) => {
+    // Spawn a monster (DM or test command).  Monsters act on their own
+    // turns once an encounter starts (see controllers/ai.js).  An
+    // optional `mapId` spawns it on another map than the active one and
+    // `position` on a given square.
+    socket.on('spawnMonster', ({ gameId, monsterType, position, mapId }) => {
       try {
-        const monster = spawnMonsterController(gameId, monsterType);
+        const monster = spawnMonsterController(gameId, monsterType, position, mapId);
         // Broadcast updated state
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        broadcastState(io, gameId);
         // Optionally notify clients of monster spawn
         io.to(gameId).emit('monsterSpawned', { instanceId: monster.instanceId, type: monster.type });
 
-        // Start simple AI: periodically attack a random player
-        const key = `${gameId}_${monster.instanceId}`;
-        // Clear any existing interval for this monster
-        if (monsterIntervals[key]) {
-          clearInterval(monsterIntervals[key]);
-          delete monsterIntervals[key];
-        }
-        // Only enable AI in multi mode or if there are players to attack
-        monsterIntervals[key] = setInterval(() => {
-          try {
-            const currentState = getGameState(gameId);
-            if (!currentState) {
-              clearInterval(monsterIntervals[key]);
-              delete monsterIntervals[key];
-              return;
-            }
-            // Check if the monster still exists
-            const monsterStill = currentState.monsters.find((m) => m.instanceId === monster.instanceId);
-            if (!monsterStill) {
-              clearInterval(monsterIntervals[key]);
-              delete monsterIntervals[key];
-              return;
-            }
-            // Choose a target player who is conscious (hp > 0)
-            const availablePlayers = currentState.players.filter((p) => p.character && (p.character.hp === undefined || p.character.hp > 0) && (!p.character.status || p.character.status !== 'unconscious'));
-            if (availablePlayers.length === 0) {
-              return;
-            }
-            const target = availablePlayers[Math.floor(Math.random() * availablePlayers.length)];
-            const result = monsterAttack(gameId, monster.instanceId, target.id);
-            const msg = result.hit
-              ? `The ${result.attacker} hits ${result.target} for ${result.damage} damage (roll ${result.roll}).`
-              : `The ${result.attacker} misses ${result.target} (roll ${result.roll}).`;
-            models.appendLog(gameId, msg);
-            // Broadcast updated state after attack
-            const newState = getGameState(gameId);
-            io.to(gameId).emit('gameState', newState);
-          } catch (err) {
-            console.error('Monster AI error:', err.message);
-            clearInterval(monsterIntervals[key]);
-            delete monsterIntervals[key];
-          }
-        }, 15000); // attack every 15 seconds
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -126,8 +214,7 @@ export default function registerSockets(io) {
     socket.on('giveItem', ({ gameId, targetPlayerId, itemId }) => {
       try {
         giveItemController(gameId, targetPlayerId, itemId);
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -139,8 +226,67 @@ export default function registerSockets(io) {
       try {
         const result = useItemController(gameId, socket.id, itemId);
         socket.emit('itemUsed', result);
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Equip an item from the player's inventory.  `slot` is optional
+    // (e.g. 'leftRing'); by default the first free slot that fits is used.
+    socket.on('equipItem', ({ gameId, itemId, slot }) => {
+      try {
+        const result = equipItem(gameId, socket.id, itemId, slot);
+        socket.emit('actionResult', { message: result.message });
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Return the item in a slot to the player's inventory
+    socket.on('unequipItem', ({ gameId, slot }) => {
+      try {
+        const result = unequipItem(gameId, socket.id, slot);
+        socket.emit('actionResult', { message: result.message });
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Memorise spells for the day.  `spells` is a list of spell names,
+    // one per slot; the same spell may appear more than once.
+    socket.on('prepareSpells', ({ gameId, spells }) => {
+      try {
+        prepareSpells(gameId, socket.id, spells);
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Rest for the night to restore spell slots
+    socket.on('rest', ({ gameId }) => {
+      try {
+        rest(gameId, socket.id);
+        broadcastState(io, gameId);
+      } catch (err) {
+        console.error(err);
+        socket.emit('error', err.message);
+      }
+    });
+
+    // Change ability scores (e.g. after a magical effect).  Armour class,
+    // hit points and modifiers are recomputed.
+    socket.on('setAbilityScores', ({ gameId, scores }) => {
+      try {
+        setAbilityScores(gameId, socket.id, scores);
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -153,6 +299,8 @@ export default function registerSockets(io) {
         const node = startDialogueController(gameId, socket.id, dialogueId, conversationId);
         // Send the first node back only to the requesting client
         socket.emit('dialogueNode', node);
+        // Talking to someone may advance a quest
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);
@@ -163,9 +311,17 @@ export default function registerSockets(io) {
     socket.on('chooseDialogueOption', ({ gameId, dialogueId, conversationId, nodeId, optionIndex }) => {
       try {
         const result = chooseDialogueOptionController(gameId, socket.id, dialogueId, conversationId, nodeId, optionIndex);
+        // The option's effects may have moved the party or started a fight
+        if (result.travel) {
+          const { message, location } = result.travel;
+          io.to(gameId).emit('locationEntered', { location, message });
+        }
+        if (result.encounter) {
+          io.to(gameId).emit('encounterStarted', { order: result.encounter.order });
+        }
         // Broadcast updated game state if rewards were applied
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        broadcastState(io, gameId);
+        emitEncounterUpdate(io, gameId, result.encounter);
         if (result.end) {
           // Notify only the player that the dialogue has ended
           socket.emit('dialogueEnd');
@@ -198,9 +354,8 @@ export default function registerSockets(io) {
     socket.on('createCharacter', ({ gameId, character }) => {
       try {
         createCharacter(gameId, socket.id, character);
-        // Broadcast the updated game state to everyone in the room
-        const state = getGameState(gameId);
-        io.to(gameId).emit('gameState', state);
+        // Send everyone in the room their view of the updated game state
+        broadcastState(io, gameId);
       } catch (err) {
         console.error(err);
         socket.emit('error', err.message);